@@ -3,6 +3,7 @@ const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 const logger = require('../utils/logger');
 
 class DatabaseManager {
@@ -11,6 +12,7 @@ class DatabaseManager {
     this.dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../../data/voice.db');
     this.bigBrotherCompliant = true;
     this.initPromise = null;
+    this.transactionContext = new AsyncLocalStorage();
   }
 
   async initialize() {
@@ -24,8 +26,9 @@ class DatabaseManager {
       const dbDir = path.dirname(this.dbPath);
       if (!fs.existsSync(dbDir)) fs.mkdirSync(dbDir, { recursive: true });
       this.db = await open({ filename: this.dbPath, driver: sqlite3.Database });
-      await this.db.exec('PRAGMA foreign_keys = ON; PRAGMA journal_mode = WAL; PRAGMA synchronous = NORMAL; PRAGMA cache_size = -2000; PRAGMA temp_store = memory;');
+      await this.db.exec('PRAGMA foreign_keys = ON; PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000; PRAGMA synchronous = NORMAL; PRAGMA cache_size = -2000; PRAGMA temp_store = memory;');
       await this.createTables();
+      await this.addMissingColumns();
       await this.createIndexes();
       logger.info('Database initialized successfully', { path: this.dbPath, bigBrotherCompliant: this.bigBrotherCompliant });
     } catch (error) {
@@ -37,13 +40,34 @@ class DatabaseManager {
   async createTables() {
     const tables = [
       `CREATE TABLE IF NOT EXISTS agents (id TEXT PRIMARY KEY, name TEXT NOT NULL, description TEXT, voice_id TEXT, settings TEXT DEFAULT '{}', file_path TEXT, file_size INTEGER, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP, big_brother_compliant BOOLEAN DEFAULT 1)`,
-      `CREATE TABLE IF NOT EXISTS generations (id TEXT PRIMARY KEY, agent_id TEXT NOT NULL, text TEXT NOT NULL, audio_path TEXT, audio_size INTEGER, duration REAL, settings TEXT DEFAULT '{}', status TEXT DEFAULT 'pending', error_message TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, completed_at DATETIME, big_brother_compliant BOOLEAN DEFAULT 1, FOREIGN KEY (agent_id) REFERENCES agents (id) ON DELETE CASCADE)`,
+      `CREATE TABLE IF NOT EXISTS generations (id TEXT PRIMARY KEY, agent_id TEXT NOT NULL, voice_id TEXT, output_format TEXT, text TEXT NOT NULL, audio_path TEXT, audio_size INTEGER, duration REAL, settings TEXT DEFAULT '{}', status TEXT DEFAULT 'pending', error_message TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, completed_at DATETIME, big_brother_compliant BOOLEAN DEFAULT 1, FOREIGN KEY (agent_id) REFERENCES agents (id) ON DELETE CASCADE)`,
       `CREATE TABLE IF NOT EXISTS usage_logs (id INTEGER PRIMARY KEY AUTOINCREMENT, agent_id TEXT, operation TEXT NOT NULL, duration INTEGER, file_size INTEGER, status TEXT, ip_address TEXT, user_agent TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, big_brother_compliant BOOLEAN DEFAULT 1, FOREIGN KEY (agent_id) REFERENCES agents (id) ON DELETE SET NULL)`,
+      `CREATE TABLE IF NOT EXISTS longform_documents (id TEXT PRIMARY KEY, agent_id TEXT NOT NULL, voice_id TEXT NOT NULL, settings TEXT DEFAULT '{}', status TEXT DEFAULT 'pending', chunk_count INTEGER NOT NULL, audio_path TEXT, audio_size INTEGER, content_type TEXT, error_message TEXT, job_id TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, completed_at DATETIME, FOREIGN KEY (agent_id) REFERENCES agents (id) ON DELETE CASCADE)`,
+      `CREATE TABLE IF NOT EXISTS longform_chunks (document_id TEXT NOT NULL, chunk_index INTEGER NOT NULL, text TEXT NOT NULL, status TEXT DEFAULT 'pending', audio_path TEXT, content_type TEXT, attempts INTEGER DEFAULT 0, error_message TEXT, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP, PRIMARY KEY (document_id, chunk_index), FOREIGN KEY (document_id) REFERENCES longform_documents (id) ON DELETE CASCADE)`,
+      `CREATE TABLE IF NOT EXISTS jobs (id TEXT PRIMARY KEY, type TEXT NOT NULL, payload TEXT DEFAULT '{}', status TEXT DEFAULT 'queued', priority INTEGER DEFAULT 0, attempts INTEGER DEFAULT 0, max_attempts INTEGER DEFAULT 3, run_at INTEGER NOT NULL, lease_owner TEXT, lease_expires_at INTEGER, heartbeat_at INTEGER, result TEXT, error_message TEXT, created_at INTEGER NOT NULL, updated_at INTEGER NOT NULL, completed_at INTEGER)`,
+      `CREATE TABLE IF NOT EXISTS job_attempts (id INTEGER PRIMARY KEY AUTOINCREMENT, job_id TEXT NOT NULL, attempt INTEGER NOT NULL, worker_id TEXT NOT NULL, status TEXT NOT NULL, error_message TEXT, started_at INTEGER NOT NULL, finished_at INTEGER, FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE CASCADE)`,
+      `CREATE TABLE IF NOT EXISTS webhook_subscriptions (id TEXT PRIMARY KEY, url TEXT NOT NULL, secret TEXT NOT NULL, events TEXT NOT NULL DEFAULT '[]', description TEXT, active BOOLEAN DEFAULT 1, created_at DATETIME DEFAULT CURRENT_TIMESTAMP)`,
+      `CREATE TABLE IF NOT EXISTS webhook_deliveries (id TEXT PRIMARY KEY, subscription_id TEXT NOT NULL, event TEXT NOT NULL, payload TEXT NOT NULL, status TEXT DEFAULT 'pending', attempts INTEGER DEFAULT 0, response_status INTEGER, response_body TEXT, error_message TEXT, redelivery_of TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, last_attempt_at DATETIME, delivered_at DATETIME, FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions (id) ON DELETE CASCADE)`,
+      `CREATE TABLE IF NOT EXISTS voice_presets (id TEXT PRIMARY KEY, agent_id TEXT, name TEXT NOT NULL, description TEXT, settings TEXT NOT NULL DEFAULT '{}', created_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP, FOREIGN KEY (agent_id) REFERENCES agents (id) ON DELETE CASCADE)`,
+      `CREATE TABLE IF NOT EXISTS agent_samples (id TEXT PRIMARY KEY, agent_id TEXT NOT NULL, filename TEXT NOT NULL, original_name TEXT, file_path TEXT NOT NULL, file_size INTEGER NOT NULL, duration REAL, sample_rate INTEGER, channels INTEGER, bitrate INTEGER, container TEXT, processed_path TEXT, processed_size INTEGER, hash TEXT NOT NULL, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, FOREIGN KEY (agent_id) REFERENCES agents (id) ON DELETE CASCADE)`,
+      `CREATE TABLE IF NOT EXISTS voice_versions (id TEXT PRIMARY KEY, agent_id TEXT NOT NULL, version INTEGER NOT NULL, voice_id TEXT NOT NULL, provider TEXT, sample_ids TEXT DEFAULT '[]', settings TEXT DEFAULT '{}', reason TEXT, active BOOLEAN DEFAULT 0, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, activated_at DATETIME, FOREIGN KEY (agent_id) REFERENCES agents (id) ON DELETE CASCADE)`,
+      `CREATE TABLE IF NOT EXISTS maintenance_locks (task TEXT PRIMARY KEY, owner TEXT, acquired_at INTEGER, expires_at INTEGER NOT NULL DEFAULT 0, last_scheduled_for INTEGER)`,
+      `CREATE TABLE IF NOT EXISTS maintenance_runs (id TEXT PRIMARY KEY, task TEXT NOT NULL, trigger TEXT NOT NULL, status TEXT NOT NULL, worker_id TEXT NOT NULL, scheduled_for INTEGER, started_at INTEGER NOT NULL, finished_at INTEGER, duration_ms INTEGER, result TEXT, error_message TEXT)`,
+      `CREATE TABLE IF NOT EXISTS storage_objects (key TEXT PRIMARY KEY, agent_id TEXT, kind TEXT NOT NULL, size INTEGER NOT NULL DEFAULT 0, created_at INTEGER NOT NULL)`,
       `CREATE TABLE IF NOT EXISTS error_logs (id INTEGER PRIMARY KEY AUTOINCREMENT, operation TEXT NOT NULL, error_message TEXT NOT NULL, error_stack TEXT, context TEXT DEFAULT '{}', ip_address TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, big_brother_compliant BOOLEAN DEFAULT 1)`
     ];
     for (const table of tables) await this.db.exec(table);
   }
 
+  // CREATE TABLE IF NOT EXISTS skips existing tables, so columns added later are patched in here
+  async addMissingColumns() {
+    const columns = { agent_samples: ['sample_rate INTEGER', 'channels INTEGER', 'bitrate INTEGER', 'container TEXT', 'processed_path TEXT', 'processed_size INTEGER'], longform_documents: ['job_id TEXT'], generations: ['voice_id TEXT', 'output_format TEXT'] };
+    for (const [table, definitions] of Object.entries(columns)) {
+      const existing = (await this.db.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+      for (const definition of definitions.filter(column => !existing.includes(column.split(' ')[0]))) await this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+    }
+  }
+
   async createIndexes() {
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_agents_name ON agents (name)',
@@ -54,6 +78,15 @@ class DatabaseManager {
       'CREATE INDEX IF NOT EXISTS idx_usage_logs_agent_id ON usage_logs (agent_id)',
       'CREATE INDEX IF NOT EXISTS idx_usage_logs_operation ON usage_logs (operation)',
       'CREATE INDEX IF NOT EXISTS idx_usage_logs_created_at ON usage_logs (created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_longform_documents_agent_id ON longform_documents (agent_id)',
+      'CREATE INDEX IF NOT EXISTS idx_jobs_claim ON jobs (status, priority, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_job_attempts_job_id ON job_attempts (job_id)',
+      'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, created_at)',
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_voice_presets_scope_name ON voice_presets (IFNULL(agent_id, ''), name)",
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_samples_agent_hash ON agent_samples (agent_id, hash)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_voice_versions_agent_version ON voice_versions (agent_id, version)',
+      'CREATE INDEX IF NOT EXISTS idx_maintenance_runs_task ON maintenance_runs (task, started_at)',
+      'CREATE INDEX IF NOT EXISTS idx_storage_objects_agent_id ON storage_objects (agent_id, kind)',
       'CREATE INDEX IF NOT EXISTS idx_error_logs_operation ON error_logs (operation)',
       'CREATE INDEX IF NOT EXISTS idx_error_logs_created_at ON error_logs (created_at)'
     ];
@@ -61,10 +94,33 @@ class DatabaseManager {
   }
 
   async getDatabase() {
+    const transaction = this.transactionContext.getStore();
+    if (transaction) return transaction;
     if (!this.db) await this.initialize();
     return this.db;
   }
 
+  // Runs fn inside BEGIN IMMEDIATE on a connection of its own. Every query made while fn runs, from any
+  // service, joins the transaction; writes from other requests wait for the lock instead of joining it.
+  async transaction(fn) {
+    await this.initialize();
+    const db = await open({ filename: this.dbPath, driver: sqlite3.Database });
+    try {
+      await db.exec('PRAGMA foreign_keys = ON; PRAGMA busy_timeout = 5000;');
+      await db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await this.transactionContext.run(db, fn);
+        await db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        await db.exec('ROLLBACK').catch(rollbackError => logger.error('Transaction rollback failed', { error: rollbackError.message }));
+        throw error;
+      }
+    } finally {
+      await db.close();
+    }
+  }
+
   async executeQuery(query, params = []) {
     try {
       const db = await this.getDatabase();
@@ -113,11 +169,14 @@ class DatabaseManager {
   async cleanup() {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - 30);
-    const queries = ['DELETE FROM usage_logs WHERE created_at < ?', 'DELETE FROM error_logs WHERE created_at < ?', 'DELETE FROM generations WHERE status = "completed" AND created_at < ?'];
+    // Generations are purged together with their audio by services/retentionService
+    const queries = { usageLogs: 'DELETE FROM usage_logs WHERE created_at < ?', errorLogs: 'DELETE FROM error_logs WHERE created_at < ?' };
     const cutoffString = cutoffDate.toISOString();
-    for (const query of queries) await this.executeUpdate(query, [cutoffString]);
-    await this.db.exec('VACUUM');
-    logger.info('Database cleanup completed');
+    const deleted = {};
+    for (const [name, query] of Object.entries(queries)) deleted[name] = (await this.executeUpdate(query, [cutoffString])).changes;
+    await (await this.getDatabase()).exec('VACUUM');
+    logger.info('Database cleanup completed', { deleted });
+    return { deleted, cutoff: cutoffString };
   }
 
   async close() {
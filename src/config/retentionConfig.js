@@ -0,0 +1,81 @@
+/**
+ * BIG BROTHER COMPLIANT - Retention Configuration
+ * Declarative retention policies for generated audio and clone samples
+ * MAX LINES: 250 | CURRENT: 81
+ */
+
+const fs = require('fs');
+
+const TARGETS = ['generations', 'samples'];
+// Each purge rule reads one numeric limit; legalHold exempts agents from every purge rule
+const RULE_LIMITS = { age: 'maxAgeDays', size: 'maxBytesPerAgent', count: 'keepLast' };
+const RULES = [...Object.keys(RULE_LIMITS), 'legalHold'];
+
+// Matches the fixed 30-day generations purge that database.cleanup used to run
+const DEFAULT_POLICIES = [{ name: 'generations-30-days', target: 'generations', rule: 'age', maxAgeDays: 30 }];
+
+class RetentionConfig {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    this.targets = TARGETS;
+    this.rules = RULES;
+    this.policies = this.loadPolicies();
+  }
+
+  // RETENTION_POLICIES holds a JSON array of policies; RETENTION_POLICIES_FILE points at a file containing one
+  loadPolicies() {
+    const file = process.env.RETENTION_POLICIES_FILE;
+    const source = file ? fs.readFileSync(file, 'utf8') : process.env.RETENTION_POLICIES;
+    if (!source || !source.trim()) return this.validatePolicies(DEFAULT_POLICIES);
+    let policies;
+    try {
+      policies = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Retention configuration errors: ${file || 'RETENTION_POLICIES'} is not valid JSON (${error.message})`);
+    }
+    return this.validatePolicies(policies);
+  }
+
+  // Policies with enforce: false only show up in dry runs, so a new rule can be reviewed before it deletes anything
+  validatePolicies(policies) {
+    if (!Array.isArray(policies)) throw new Error('Retention configuration errors: policies must be a JSON array');
+    const errors = [];
+    const names = new Set();
+    const validated = policies.map((policy, index) => {
+      const name = policy && typeof policy.name === 'string' ? policy.name.trim() : '';
+      const label = name || `#${index + 1}`;
+      if (!name) errors.push(`policy ${label} needs a name`);
+      else if (names.has(name)) errors.push(`policy name ${name} is used twice`);
+      names.add(name);
+
+      const rule = policy?.rule;
+      if (!RULES.includes(rule)) errors.push(`policy ${label} rule must be one of ${RULES.join(', ')}`);
+      const target = policy?.target ?? null;
+      if (target !== null && !TARGETS.includes(target)) errors.push(`policy ${label} target must be one of ${TARGETS.join(', ')}`);
+
+      if (rule === 'legalHold') {
+        const agents = policy.agents;
+        if (!Array.isArray(agents) || agents.length === 0 || !agents.every(agent => typeof agent === 'string' && agent)) errors.push(`policy ${label} agents must list at least one agent ID`);
+        return { name, rule, target, agents: Array.isArray(agents) ? agents : [], reason: policy.reason || null };
+      }
+
+      if (target === null && RULE_LIMITS[rule]) errors.push(`policy ${label} needs a target`);
+      const limitName = RULE_LIMITS[rule];
+      const limit = limitName ? policy[limitName] : undefined;
+      if (limitName && !(Number.isInteger(limit) && limit >= (rule === 'count' ? 0 : 1))) errors.push(`policy ${label} ${limitName} must be a ${rule === 'count' ? 'non-negative' : 'positive'} integer`);
+      return { name, rule, target, [limitName]: limit, enforce: policy?.enforce !== false };
+    });
+    if (errors.length > 0) throw new Error(`Retention configuration errors: ${errors.join(', ')}`);
+    return validated;
+  }
+
+  getPurgePolicies() {
+    return this.policies.filter(policy => policy.rule !== 'legalHold');
+  }
+
+  getLegalHolds() {
+    return this.policies.filter(policy => policy.rule === 'legalHold');
+  }
+}
+
+module.exports = new RetentionConfig();
\ No newline at end of file
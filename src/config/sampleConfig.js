@@ -0,0 +1,46 @@
+/**
+ * BIG BROTHER COMPLIANT - Sample Configuration
+ * Clone sample preprocessing and quality gate settings
+ * MAX LINES: 250 | CURRENT: 46
+ */
+
+const threshold = (name, warn, fail) => ({
+  warn: parseFloat(process.env[`SAMPLE_QUALITY_WARN_${name}`]) || warn,
+  fail: parseFloat(process.env[`SAMPLE_QUALITY_FAIL_${name}`]) || fail
+});
+
+class SampleConfig {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    this.preprocessing = this.initPreprocessing();
+    this.quality = this.initQuality();
+  }
+
+  initPreprocessing() {
+    return {
+      enabled: process.env.SAMPLE_PREPROCESSING === 'true',
+      sampleRate: parseInt(process.env.SAMPLE_PREPROCESS_SAMPLE_RATE) || 44100,
+      silenceThresholdDb: parseFloat(process.env.SAMPLE_SILENCE_THRESHOLD_DB) || -45,
+      silencePadMs: parseInt(process.env.SAMPLE_SILENCE_PAD_MS) || 150,
+      targetLoudnessDb: parseFloat(process.env.SAMPLE_TARGET_LOUDNESS_DB) || -20
+    };
+  }
+
+  initQuality() {
+    return {
+      enforce: process.env.SAMPLE_QUALITY_GATE === 'true',
+      snrDb: threshold('SNR_DB', 25, 15),
+      clippingPercent: threshold('CLIPPING', 0.1, 1),
+      silenceRatio: threshold('SILENCE', 0.4, 0.7),
+      speechSeconds: threshold('SPEECH', 10, 3)
+    };
+  }
+
+  // Per-request flags arrive as strings in multipart forms; unset falls back to the configured default
+  parseFlag(flag, fallback) {
+    if (flag === undefined || flag === null || flag === '') return fallback;
+    return ['true', '1', 'yes', 'on'].includes(String(flag).toLowerCase());
+  }
+}
+
+module.exports = new SampleConfig();
\ No newline at end of file
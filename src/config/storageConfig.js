@@ -0,0 +1,69 @@
+/**
+ * BIG BROTHER COMPLIANT - Storage Configuration
+ * Storage driver selection for uploaded samples and generated audio
+ * MAX LINES: 250 | CURRENT: 69
+ */
+
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+class StorageConfig {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    this.driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+    // Scratch space for multer uploads and staging; always on local disk
+    this.tempDir = process.env.TEMP_DIR || path.join(ROOT_DIR, 'temp');
+    this.urlTtlSeconds = parseInt(process.env.STORAGE_URL_TTL) || 3600;
+    this.local = this.initLocalConfig();
+    this.s3 = this.initS3Config();
+    this.downloads = this.initDownloadConfig();
+    this.quotas = this.initQuotaConfig();
+  }
+
+  // Byte limits, unlimited when unset. Soft limits only warn; hard limits and the free-space floor reject writes with 507
+  initQuotaConfig() {
+    const bytes = (name) => parseInt(process.env[name]) || null;
+    return {
+      agent: { soft: bytes('STORAGE_QUOTA_AGENT_SOFT_BYTES'), hard: bytes('STORAGE_QUOTA_AGENT_HARD_BYTES') },
+      global: { soft: bytes('STORAGE_QUOTA_GLOBAL_SOFT_BYTES'), hard: bytes('STORAGE_QUOTA_GLOBAL_HARD_BYTES') },
+      minFreeBytes: bytes('STORAGE_MIN_FREE_BYTES')
+    };
+  }
+
+  // Audio is only reachable through HMAC-signed, expiring links; without a fixed secret links die on restart
+  initDownloadConfig() {
+    return {
+      secret: process.env.DOWNLOAD_URL_SECRET || null,
+      ttlSeconds: parseInt(process.env.DOWNLOAD_URL_TTL) || 3600,
+      basePath: '/api/v2/files'
+    };
+  }
+
+  initLocalConfig() {
+    return {
+      root: process.env.STORAGE_LOCAL_PATH || path.join(ROOT_DIR, 'uploads')
+    };
+  }
+
+  // Works with AWS S3 and S3-compatible servers (MinIO, R2, Ceph); most self-hosted ones need path-style URLs
+  initS3Config() {
+    return {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || null,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      sessionToken: process.env.S3_SESSION_TOKEN || null,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX || '',
+      urlTtlSeconds: this.urlTtlSeconds
+    };
+  }
+
+  getDriverOptions() {
+    return this[this.driver] || {};
+  }
+}
+
+module.exports = new StorageConfig();
\ No newline at end of file
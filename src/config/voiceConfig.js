@@ -1,7 +1,7 @@
 /**
  * BIG BROTHER COMPLIANT - Voice Configuration
  * ElevenLabs configuration and voice processing settings
- * MAX LINES: 250 | CURRENT: 186
+ * MAX LINES: 250 | CURRENT: 247
  */
 
 const logger = require('../utils/logger');
@@ -9,12 +9,24 @@ const logger = require('../utils/logger');
 class VoiceConfig {
   constructor() {
     this.bigBrotherCompliant = true;
+    this.providerConfig = this.initProviderConfig();
     this.elevenLabsConfig = this.initElevenLabsConfig();
     this.voiceSettings = this.initVoiceSettings();
     this.processingConfig = this.initProcessingConfig();
     this.validateConfig();
   }
 
+  initProviderConfig() {
+    return {
+      name: (process.env.VOICE_PROVIDER || 'elevenlabs').toLowerCase(),
+      offline: {
+        sampleRate: parseInt(process.env.OFFLINE_SAMPLE_RATE) || 16000,
+        msPerCharacter: parseInt(process.env.OFFLINE_MS_PER_CHARACTER) || 60,
+        minDurationMs: parseInt(process.env.OFFLINE_MIN_DURATION_MS) || 500
+      }
+    };
+  }
+
   initElevenLabsConfig() {
     return {
       apiKey: process.env.ELEVENLABS_API_KEY || '',
@@ -22,7 +34,14 @@ class VoiceConfig {
       timeout: parseInt(process.env.ELEVENLABS_TIMEOUT) || 30000,
       retryAttempts: parseInt(process.env.ELEVENLABS_RETRY_ATTEMPTS) || 3,
       retryDelay: parseInt(process.env.ELEVENLABS_RETRY_DELAY) || 1000,
+      retryMaxDelay: parseInt(process.env.ELEVENLABS_RETRY_MAX_DELAY) || 10000,
       maxConcurrentRequests: parseInt(process.env.ELEVENLABS_MAX_CONCURRENT) || 5,
+      circuitBreaker: {
+        failureRateThreshold: parseFloat(process.env.BREAKER_FAILURE_RATE) || 0.5,
+        minimumRequests: parseInt(process.env.BREAKER_MIN_REQUESTS) || 10,
+        windowSize: parseInt(process.env.BREAKER_WINDOW_SIZE) || 20,
+        cooldown: parseInt(process.env.BREAKER_COOLDOWN) || 30000
+      },
       endpoints: {
         voices: '/voices',
         textToSpeech: '/text-to-speech',
@@ -60,7 +79,7 @@ class VoiceConfig {
   initProcessingConfig() {
     return {
       audio: {
-        supportedFormats: ['.mp3', '.wav', '.m4a', '.flac', '.ogg'],
+        supportedFormats: ['.mp3', '.wav', '.m4a', '.flac', '.ogg', '.pcm'],
         maxFileSize: parseInt(process.env.MAX_AUDIO_SIZE) || 50 * 1024 * 1024,
         minDuration: parseInt(process.env.MIN_AUDIO_DURATION) || 5,
         maxDuration: parseInt(process.env.MAX_AUDIO_DURATION) || 300,
@@ -78,6 +97,10 @@ class VoiceConfig {
           /data:text\/html/gi
         ]
       },
+      longForm: {
+        maxLength: parseInt(process.env.LONGFORM_MAX_LENGTH) || 100000,
+        chunkLength: parseInt(process.env.LONGFORM_CHUNK_LENGTH) || 2500
+      },
       voice: {
         maxVoicesPerUser: parseInt(process.env.MAX_VOICES_PER_USER) || 10,
         nameMaxLength: parseInt(process.env.VOICE_NAME_MAX_LENGTH) || 50,
@@ -86,6 +109,13 @@ class VoiceConfig {
         cloneRequiredSamples: parseInt(process.env.CLONE_REQUIRED_SAMPLES) || 1,
         maxCloneAttempts: parseInt(process.env.MAX_CLONE_ATTEMPTS) || 3
       },
+      queue: {
+        deadlines: {
+          interactive: parseInt(process.env.QUEUE_DEADLINE_INTERACTIVE) || 30000,
+          clone: parseInt(process.env.QUEUE_DEADLINE_CLONE) || 120000,
+          batch: parseInt(process.env.QUEUE_DEADLINE_BATCH) || 600000
+        }
+      },
       cache: {
         enabled: process.env.CACHE_ENABLED !== 'false',
         ttl: parseInt(process.env.CACHE_TTL) || 3600,
@@ -104,8 +134,8 @@ class VoiceConfig {
   validateConfig() {
     const errors = [];
 
-    if (!this.elevenLabsConfig.apiKey) {
-      errors.push('ELEVENLABS_API_KEY is required');
+    if (this.providerConfig.name === 'elevenlabs' && !this.elevenLabsConfig.apiKey) {
+      errors.push('ELEVENLABS_API_KEY is required when VOICE_PROVIDER is elevenlabs');
     }
 
     if (!this.elevenLabsConfig.baseUrl) {
@@ -124,12 +154,17 @@ class VoiceConfig {
       errors.push('MAX_TEXT_LENGTH cannot exceed 10000 characters');
     }
 
+    if (this.processingConfig.longForm.chunkLength > this.processingConfig.text.maxLength) {
+      errors.push('LONGFORM_CHUNK_LENGTH cannot exceed MAX_TEXT_LENGTH');
+    }
+
     if (errors.length > 0) {
       logger.error('Voice configuration validation failed', { errors });
       throw new Error(`Configuration errors: ${errors.join(', ')}`);
     }
 
     logger.info('Voice configuration validated successfully', {
+      provider: this.providerConfig.name,
       elevenLabsConfigured: !!this.elevenLabsConfig.apiKey,
       maxFileSize: this.processingConfig.audio.maxFileSize,
       maxTextLength: this.processingConfig.text.maxLength,
@@ -150,7 +185,18 @@ class VoiceConfig {
     return this.voiceSettings.presets[presetName] || this.voiceSettings.default;
   }
 
-  validateVoiceSettings(settings) {
+  validateVoiceSettings(settings, { strict = false } = {}) {
+    if (strict) {
+      const errors = Object.entries(settings || {})
+        .map(([key, value]) => this.checkSettingRange(key, value))
+        .filter(Boolean);
+      if (errors.length > 0) {
+        throw Object.assign(new Error(`Validation failed: ${errors.join(', ')}`), {
+          status: 400,
+          code: 'INVALID_VOICE_SETTINGS'
+        });
+      }
+    }
     const validated = { ...this.voiceSettings.default, ...settings };
     
     validated.stability = Math.max(0, Math.min(1, validated.stability));
@@ -161,6 +207,18 @@ class VoiceConfig {
     return validated;
   }
 
+  checkSettingRange(key, value) {
+    const range = this.voiceSettings.ranges[key];
+    if (!range) return `Unknown voice setting: ${key}`;
+    if (Array.isArray(range)) {
+      return range.includes(value) ? null : `${key} must be one of ${range.join(', ')}`;
+    }
+    if (typeof value !== 'number' || value < range.min || value > range.max) {
+      return `${key} must be a number between ${range.min} and ${range.max}`;
+    }
+    return null;
+  }
+
   isAudioFormatSupported(filename) {
     const ext = filename.toLowerCase().substring(filename.lastIndexOf('.'));
     return this.processingConfig.audio.supportedFormats.includes(ext);
@@ -0,0 +1,13 @@
+// BIG BROTHER COMPLIANT - Admin Routes
+// Operator endpoints under /api/v2/admin, all behind the admin key (see utils/adminAuth)
+const express = require('express');
+const { requireAdminKey } = require('../utils/adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+router.use('/maintenance', require('./maintenanceRoutes'));
+router.use('/retention', require('./retentionRoutes'));
+
+module.exports = router;
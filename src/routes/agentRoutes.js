@@ -3,6 +3,7 @@ const express = require('express');
 const logger = require('../utils/logger');
 const { asyncHandler, uploadRateLimiter } = require('../utils/middleware');
 const agentService = require('../services/agentService');
+const generationService = require('../services/generationService');
 const audioManager = require('../services/audioManager');
 
 const router = express.Router();
@@ -13,6 +14,10 @@ router.use((req, res, next) => {
   next();
 });
 
+router.use('/:agentId/presets', require('./presetRoutes'));
+router.use('/:agentId/samples', require('./sampleRoutes'));
+router.use('/:agentId/versions', require('./versionRoutes'));
+
 const sendResponse = (res, success, data, duration, requestId, statusCode = success ? 200 : 500) => {
   res.status(statusCode).json({
     success,
@@ -25,24 +30,25 @@ const sendResponse = (res, success, data, duration, requestId, statusCode = succ
   });
 };
 
-router.post('/', uploadRateLimiter, audioManager.getUploadMiddleware(), asyncHandler(async (req, res) => {
+router.post('/', uploadRateLimiter, audioManager.getMultipleUploadMiddleware(), asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const requestId = res.locals.performance?.requestId;
   try {
     const { name, description, settings } = req.body;
-    const audioFile = req.file;
-    logger.agentOperation('Creating agent', { name, filename: audioFile?.originalname, requestId });
+    const audioFiles = req.files || [];
+    logger.agentOperation('Creating agent', { name, filenames: audioFiles.map(file => file.originalname), requestId });
     
     const agentData = { name, description, settings: settings ? JSON.parse(settings) : {} };
-    const result = await agentService.createAgent(agentData, audioFile);
+    const result = await agentService.createAgent(agentData, audioFiles, { preprocess: req.body.preprocess, qualityCheck: req.body.qualityCheck });
     const duration = Date.now() - startTime;
     
     logger.performance('Agent created', duration, { agentId: result.agent.id, requestId });
-    sendResponse(res, true, { agent: result.agent, processingDuration: duration }, duration, requestId, 201);
+    sendResponse(res, true, { agent: result.agent, duplicates: result.duplicates, qualityCheck: result.qualityCheck, processingDuration: duration }, duration, requestId, 201);
   } catch (error) {
     const duration = Date.now() - startTime;
-    logger.error('Agent creation failed', { error: error.message, requestBody: req.body, file: req.file?.originalname, duration, requestId });
-    sendResponse(res, false, { error: error.message }, duration, requestId, 500);
+    logger.error('Agent creation failed', { error: error.message, requestBody: req.body, files: req.files?.map(file => file.originalname), duration, requestId });
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    sendResponse(res, false, { error: error.message, ...(error.code && { code: error.code }) }, duration, requestId, error.status || 500);
   }
 }));
 
@@ -80,6 +86,24 @@ router.get('/:agentId', asyncHandler(async (req, res) => {
   }
 }));
 
+router.get('/:agentId/generations', asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const requestId = res.locals.performance?.requestId;
+  const { agentId } = req.params;
+  try {
+    await agentService.getAgent(agentId);
+    const result = await generationService.listAgentGenerations(agentId, req.query);
+    const duration = Date.now() - startTime;
+    logger.performance('Agent generations listed', duration, { agentId, count: result.generations.length, requestId });
+    sendResponse(res, true, { generations: result.generations, pagination: result.pagination, filters: result.filters }, duration, requestId);
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    const statusCode = error.message.includes('not found') ? 404 : error.message.startsWith('Validation failed') ? 400 : 500;
+    logger.error('Failed to list agent generations', { error: error.message, agentId, query: req.query, duration, requestId });
+    sendResponse(res, false, { error: error.message, agentId }, duration, requestId, statusCode);
+  }
+}));
+
 router.put('/:agentId', asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const requestId = res.locals.performance?.requestId;
@@ -110,9 +134,9 @@ router.delete('/:agentId', asyncHandler(async (req, res) => {
     sendResponse(res, true, { message: 'Agent deleted successfully', agentId: result.agentId }, duration, requestId);
   } catch (error) {
     const duration = Date.now() - startTime;
-    const statusCode = error.message.includes('not found') ? 404 : 500;
+    const statusCode = error.status || (error.message.includes('not found') ? 404 : 500);
     logger.error('Failed to delete agent', { error: error.message, agentId, duration, requestId });
-    sendResponse(res, false, { error: error.message, agentId }, duration, requestId, statusCode);
+    sendResponse(res, false, { error: error.message, agentId, ...(error.code && { code: error.code }) }, duration, requestId, statusCode);
   }
 }));
 
@@ -0,0 +1,60 @@
+// BIG BROTHER COMPLIANT - Download Routes
+// Mounted at /api/v2/files; serves downloadService links with byte-range support
+const express = require('express');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../utils/middleware');
+const audioManager = require('../services/audioManager');
+const downloadService = require('../services/downloadService');
+
+const router = express.Router();
+
+const sendDownloadError = (res, error, requestId) => {
+  res.status(error.status || 500).json({
+    success: false, error: error.message, ...(error.code && { code: error.code }),
+    service: 'Big Brother Voice v2', requestId, bigBrotherCompliant: true, timestamp: new Date().toISOString()
+  });
+};
+
+// Multi-range and malformed headers fall back to the whole file, as RFC 9110 allows
+const parseRange = (req, size) => {
+  if (!req.headers.range) return null;
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) return -1;
+  return Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+};
+
+router.get('/:key', asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  const { key } = req.params;
+  try {
+    const file = await downloadService.authorize(key, req.query);
+    const range = parseRange(req, file.size);
+    if (range === -1) {
+      return res.status(416).set({ 'Content-Range': `bytes */${file.size}`, 'Accept-Ranges': 'bytes' }).end();
+    }
+
+    const { start, end } = range || { start: 0, end: file.size - 1 };
+    res.status(range ? 206 : 200).set({
+      'Content-Type': file.contentType,
+      'Content-Length': String(Math.max(0, end - start + 1)),
+      'Content-Disposition': `${req.query.download ? 'attachment' : 'inline'}; filename="${key}"`,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': `private, max-age=${Math.max(0, Math.floor((file.expiresAt - Date.now()) / 1000))}`,
+      'Last-Modified': file.lastModified.toUTCString(),
+      ...(range && { 'Content-Range': `bytes ${start}-${end}/${file.size}` })
+    });
+    if (req.method === 'HEAD' || file.size === 0) return res.end();
+
+    const stream = await audioManager.openStream(key, range);
+    stream.on('error', (error) => {
+      logger.error('Download stream failed', { error: error.message, key, requestId });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.status !== 404) logger.warn('Download refused', { error: error.message, code: error.code, key, requestId });
+    sendDownloadError(res, error, requestId);
+  }
+}));
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,53 @@
+// BIG BROTHER COMPLIANT - Generation Routes
+const express = require('express');
+const logger = require('../utils/logger');
+const validators = require('../utils/validators');
+const { asyncHandler, voiceRateLimiter } = require('../utils/middleware');
+const agentService = require('../services/agentService');
+const generationService = require('../services/generationService');
+const presetService = require('../services/presetService');
+const voiceVersionService = require('../services/voiceVersionService');
+const { parseOutputFormat } = require('../utils/audioFormats');
+
+const router = express.Router();
+
+const sendGenerationResponse = (res, success, data, requestId, statusCode = success ? 200 : 500) => {
+  res.status(statusCode).json({ success, ...data, service: 'Big Brother Voice v2', requestId, bigBrotherCompliant: true, timestamp: new Date().toISOString() });
+};
+
+router.post('/', voiceRateLimiter, asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  try {
+    const validation = validators.validateTextToSpeechRequest(req.body);
+    if (!validation.isValid) {
+      logger.warn('Generation request validation failed', { errors: validation.errors, requestId });
+      return sendGenerationResponse(res, false, { error: 'Validation failed', details: validation.errors }, requestId, 400);
+    }
+    const { text, agentId, settings } = validation.sanitized;
+    const agent = await agentService.getAgent(agentId);
+    const outputFormat = req.body.outputFormat ? parseOutputFormat(req.body.outputFormat).id : null;
+    const mergedSettings = await presetService.mergeSettings(agent.agent, req.body.preset, settings);
+    const voiceId = await voiceVersionService.resolveVoiceId(agent.agent, req.body.voiceVersion);
+    const result = await generationService.createGeneration({ text, agentId, voiceId, settings: mergedSettings, outputFormat });
+    res.set('Location', `${req.baseUrl}/${result.generation.id}`);
+    sendGenerationResponse(res, true, { generation: result.generation }, requestId, 202);
+  } catch (error) {
+    const statusCode = error.status || (error.message.includes('not found') ? 404 : 500);
+    logger.error('Failed to queue generation', { error: error.message, agentId: req.body?.agentId, requestId });
+    sendGenerationResponse(res, false, { error: error.message, ...(error.code && { code: error.code }) }, requestId, statusCode);
+  }
+}));
+
+router.get('/:generationId', asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  try {
+    const result = await generationService.getGeneration(req.params.generationId);
+    sendGenerationResponse(res, true, { generation: result.generation }, requestId);
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 : 500;
+    logger.error('Failed to fetch generation', { error: error.message, generationId: req.params.generationId, requestId });
+    sendGenerationResponse(res, false, { error: error.message }, requestId, statusCode);
+  }
+}));
+
+module.exports = router;
@@ -2,6 +2,7 @@
 const express = require('express');
 const os = require('os');
 const logger = require('../utils/logger');
+const storageQuotaService = require('../services/storageQuotaService');
 
 const router = express.Router();
 
@@ -40,4 +41,16 @@ router.get('/', (req, res) => {
   }
 });
 
+// Storage usage only: quota usage and free disk space, 503 once writes would be rejected
+router.get('/storage', async (req, res) => {
+  const storageUsage = await storageQuotaService.getHealth();
+  res.status(storageUsage.status === 'unhealthy' ? 503 : 200).json({
+    status: storageUsage.status,
+    service: 'Big Brother Voice v2',
+    checks: { storageUsage },
+    bigBrotherCompliant: true,
+    timestamp: new Date().toISOString()
+  });
+});
+
 module.exports = router;
\ No newline at end of file
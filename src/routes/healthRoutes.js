@@ -1,13 +1,12 @@
 // BIG BROTHER COMPLIANT - Health Routes
 const express = require('express');
 const os = require('os');
-const fs = require('fs').promises;
-const path = require('path');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../utils/middleware');
 const database = require('../config/database');
 const voiceProcessor = require('../services/voiceProcessor');
 const audioManager = require('../services/audioManager');
+const storageQuotaService = require('../services/storageQuotaService');
 
 const router = express.Router();
 
@@ -56,7 +55,10 @@ router.get('/detailed', asyncHandler(async (req, res) => {
     // Voice processor check
     try {
       const queueStatus = voiceProcessor.getQueueStatus();
-      checks.voiceProcessor = { status: 'healthy', queue: queueStatus, message: 'Voice processor operational' };
+      const breaker = queueStatus.circuitBreaker;
+      checks.voiceProcessor = breaker.state === 'open'
+        ? { status: 'unhealthy', queue: queueStatus, circuitBreaker: breaker, message: 'Voice provider circuit open, failing fast' }
+        : { status: 'healthy', queue: queueStatus, circuitBreaker: breaker, message: breaker.state === 'half_open' ? 'Voice processor probing provider recovery' : 'Voice processor operational' };
     } catch (error) {
       checks.voiceProcessor = { status: 'unhealthy', error: error.message, message: 'Voice processor check failed' };
     }
@@ -67,16 +69,15 @@ router.get('/detailed', asyncHandler(async (req, res) => {
     } catch (error) {
       checks.audioManager = { status: 'unhealthy', error: error.message, message: 'Audio manager check failed' };
     }
-    // Disk space check
+    // Storage check: a HEAD/stat on a key that never exists proves the driver is reachable and authorized
     try {
-      const uploadsDir = path.join(__dirname, '../../uploads');
-      const tempDir = path.join(__dirname, '../../temp');
-      const uploadsStats = await fs.stat(uploadsDir).catch(() => null);
-      const tempStats = await fs.stat(tempDir).catch(() => null);
-      checks.diskSpace = { status: 'healthy', directories: { uploads: uploadsStats ? 'exists' : 'missing', temp: tempStats ? 'exists' : 'missing' }, message: 'Disk space check completed' };
+      await audioManager.storage.stat('healthcheck-probe');
+      checks.storage = { status: 'healthy', driver: audioManager.storage.name, tempDir: audioManager.tempDir, message: 'Audio storage reachable' };
     } catch (error) {
-      checks.diskSpace = { status: 'unhealthy', error: error.message, message: 'Disk space check failed' };
+      checks.storage = { status: 'unhealthy', driver: audioManager.storage.name, error: error.message, message: 'Audio storage check failed' };
     }
+    // Storage usage check: quota usage and free space on every local filesystem audio is written to
+    checks.storageUsage = await storageQuotaService.getHealth();
     const overallStatus = Object.values(checks).every(check => check.status === 'healthy') ? 'healthy' : 'degraded';
     const duration = Date.now() - startTime;
     sendHealthResponse(res, true, {
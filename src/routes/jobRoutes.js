@@ -0,0 +1,84 @@
+// BIG BROTHER COMPLIANT - Job Routes
+const express = require('express');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../utils/middleware');
+const jobQueue = require('../services/jobQueue');
+const jobProgress = require('../services/jobProgress');
+
+const router = express.Router();
+const HEARTBEAT_INTERVAL = 15000;
+
+const sendJobResponse = (res, success, data, requestId, statusCode = success ? 200 : 500) => {
+  res.status(statusCode).json({
+    success,
+    ...data,
+    service: 'Big Brother Voice v2',
+    requestId,
+    bigBrotherCompliant: true,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.state}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+// Only jobs the progress tracker or the persistent queue knows about can be followed; anything else would never send an event
+router.get('/:jobId/events', asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+  const requestId = res.locals.performance?.requestId;
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  const queued = jobProgress.hasJob(jobId) ? null : await jobQueue.getJob(jobId).then(result => result.job, (error) => {
+    if (error.message.includes('not found')) return null;
+    throw error;
+  });
+  if (!queued && !jobProgress.hasJob(jobId)) return sendJobResponse(res, false, { error: 'Job not found' }, requestId, 404);
+
+  res.status(200).set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let lastSent = lastEventId;
+  const close = () => {
+    clearInterval(heartbeat);
+    jobProgress.removeListener(jobId, onEvent);
+    if (!res.writableEnded) res.end();
+  };
+  const onEvent = (event) => {
+    if (event.id <= lastSent) return;
+    lastSent = event.id;
+    writeEvent(res, event);
+    if (event.final) close();
+  };
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  jobProgress.on(jobId, onEvent);
+  res.on('close', close);
+  logger.info('Job event stream opened', { jobId, lastEventId, requestId });
+
+  // Replay anything missed since Last-Event-ID; a known final job closes straight away
+  jobProgress.getEvents(jobId, lastEventId).forEach(onEvent);
+  if (jobProgress.isFinal(jobId) && !res.writableEnded) close();
+  // A queue job that finished before this process tracked it (e.g. before a restart) gets its final state once
+  if (queued && !jobProgress.hasJob(jobId) && ['completed', 'failed'].includes(queued.status) && !res.writableEnded) {
+    onEvent({ id: lastSent + 1, jobId, state: queued.status, final: true, data: { job: queued }, timestamp: queued.completedAt || new Date().toISOString() });
+  }
+}));
+
+router.get('/:jobId', asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  const { jobId } = req.params;
+  try {
+    // Interactive synthesis and clone jobs only exist in the progress tracker, not the persistent queue
+    const result = await jobQueue.getJob(jobId).catch(error => {
+      if (jobProgress.hasJob(jobId) && error.message.includes('not found')) return { job: null };
+      throw error;
+    });
+    sendJobResponse(res, true, { job: result.job, progress: jobProgress.getEvents(jobId) }, requestId);
+  } catch (error) {
+    logger.error('Failed to fetch job', { error: error.message, jobId: req.params.jobId, requestId });
+    sendJobResponse(res, false, { error: error.message }, requestId, error.message.includes('not found') ? 404 : 500);
+  }
+}));
+
+module.exports = router;
\ No newline at end of file
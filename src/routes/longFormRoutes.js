@@ -0,0 +1,68 @@
+// BIG BROTHER COMPLIANT - Long-Form Synthesis Routes
+const express = require('express');
+const logger = require('../utils/logger');
+const validators = require('../utils/validators');
+const voiceConfig = require('../config/voiceConfig');
+const { asyncHandler, voiceRateLimiter } = require('../utils/middleware');
+const agentService = require('../services/agentService');
+const longFormService = require('../services/longFormService');
+const presetService = require('../services/presetService');
+const voiceVersionService = require('../services/voiceVersionService');
+
+const router = express.Router();
+
+const sendLongFormResponse = (res, success, data, requestId, statusCode = success ? 200 : 500) => {
+  res.status(statusCode).json({ success, ...data, service: 'Big Brother Voice v2', requestId, bigBrotherCompliant: true, timestamp: new Date().toISOString() });
+};
+
+const statusCodeFor = (error) => (error.message.includes('not found') ? 404 : error.status || 500);
+
+// Documents are synthesized on the job queue; the 202 points at the document to poll, or its jobId to follow
+router.post('/', voiceRateLimiter, asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  try {
+    const validation = validators.validateTextToSpeechRequest(req.body, { maxLength: voiceConfig.processingConfig.longForm.maxLength });
+    if (!validation.isValid) {
+      logger.warn('Long-form request validation failed', { errors: validation.errors, requestId });
+      return sendLongFormResponse(res, false, { error: 'Validation failed', details: validation.errors }, requestId, 400);
+    }
+    const { text, agentId, settings } = validation.sanitized;
+    const agent = await agentService.getAgent(agentId);
+    const mergedSettings = await presetService.mergeSettings(agent.agent, req.body.preset, settings);
+    const voiceId = await voiceVersionService.resolveVoiceId(agent.agent, req.body.voiceVersion);
+    const result = await longFormService.createDocument({ text, agentId, voiceId, settings: mergedSettings });
+    logger.voiceProcessing('Long-form synthesis queued', { agentId, documentId: result.document.id, jobId: result.document.jobId, chunks: result.document.chunkCount, requestId });
+    res.set('Location', `${req.baseUrl}/${result.document.id}`);
+    sendLongFormResponse(res, true, { document: result.document }, requestId, 202);
+  } catch (error) {
+    logger.error('Failed to queue long-form synthesis', { error: error.message, agentId: req.body?.agentId, requestId });
+    sendLongFormResponse(res, false, { error: error.message, ...(error.code && { code: error.code }) }, requestId, statusCodeFor(error));
+  }
+}));
+
+router.get('/:documentId', asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  try {
+    const result = await longFormService.getDocument(req.params.documentId);
+    sendLongFormResponse(res, true, { document: result.document }, requestId);
+  } catch (error) {
+    logger.error('Failed to fetch long-form document', { error: error.message, documentId: req.params.documentId, requestId });
+    sendLongFormResponse(res, false, { error: error.message }, requestId, statusCodeFor(error));
+  }
+}));
+
+router.post('/:documentId/retry', voiceRateLimiter, asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  try {
+    const result = await longFormService.retryDocument(req.params.documentId);
+    const queued = result.document.status !== 'completed';
+    logger.voiceProcessing(queued ? 'Long-form retry queued' : 'Long-form document already completed', { documentId: req.params.documentId, jobId: result.document.jobId, requestId });
+    if (queued) res.set('Location', `${req.baseUrl}/${result.document.id}`);
+    sendLongFormResponse(res, true, { document: result.document }, requestId, queued ? 202 : 200);
+  } catch (error) {
+    logger.error('Long-form retry failed', { error: error.message, documentId: req.params.documentId, requestId });
+    sendLongFormResponse(res, false, { error: error.message, ...(error.code && { code: error.code }) }, requestId, statusCodeFor(error));
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// BIG BROTHER COMPLIANT - Maintenance Admin Routes
+// Mounted at /api/v2/admin/maintenance; manual runs answer 409 while the task lock is held
+const express = require('express');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../utils/middleware');
+const maintenanceScheduler = require('../services/maintenanceScheduler');
+
+const router = express.Router();
+
+const sendMaintenanceResponse = (res, success, data, requestId, statusCode = success ? 200 : 500) => {
+  res.status(statusCode).json({ success, ...data, service: 'Big Brother Voice v2', requestId, bigBrotherCompliant: true, timestamp: new Date().toISOString() });
+};
+
+const handle = (operation, fn) => asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  try {
+    sendMaintenanceResponse(res, true, await fn(req), requestId);
+  } catch (error) {
+    logger.error(`Maintenance ${operation} failed`, { error: error.message, params: req.params, requestId });
+    sendMaintenanceResponse(res, false, { error: error.message, ...(error.code && { code: error.code }) }, requestId, error.status || 500);
+  }
+});
+
+router.get('/tasks', handle('list', async () => {
+  const tasks = await maintenanceScheduler.listTasks();
+  return { tasks, count: tasks.length, schedulerRunning: maintenanceScheduler.started };
+}));
+
+// ?limit= caps the run history (default 20)
+router.get('/tasks/:name', handle('fetch', async (req) => ({
+  task: await maintenanceScheduler.describeTask(req.params.name),
+  runs: await maintenanceScheduler.listRuns(req.params.name, req.query.limit)
+})));
+
+// Runs synchronously; a task that throws still answers 200 with the failed run recorded
+router.post('/tasks/:name/run', handle('run', async (req) => ({ run: await maintenanceScheduler.runTask(req.params.name, { trigger: 'manual' }) })));
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,44 @@
+// BIG BROTHER COMPLIANT - Voice Preset Routes
+// Mounted under /api/v2/agents/:agentId/presets; scope=global manages global presets
+const express = require('express');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../utils/middleware');
+const agentService = require('../services/agentService');
+const presetService = require('../services/presetService');
+
+const router = express.Router({ mergeParams: true });
+
+const sendPresetResponse = (res, success, data, requestId, statusCode = success ? 200 : 500) => {
+  res.status(statusCode).json({ success, ...data, service: 'Big Brother Voice v2', requestId, bigBrotherCompliant: true, timestamp: new Date().toISOString() });
+};
+
+const statusCodeFor = (error) => error.status || (error.message.includes('not found') ? 404 : error.message.startsWith('Validation failed') ? 400 : 500);
+
+const handle = (operation, fn, successStatus = 200) => asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  try {
+    await agentService.getAgent(req.params.agentId);
+    sendPresetResponse(res, true, await fn(req), requestId, successStatus);
+  } catch (error) {
+    logger.error(`Preset ${operation} failed`, { error: error.message, params: req.params, requestId });
+    sendPresetResponse(res, false, { error: error.message, ...(error.code && { code: error.code }) }, requestId, statusCodeFor(error));
+  }
+});
+
+router.get('/', handle('list', async (req) => {
+  const { presets } = await presetService.listPresets(req.params.agentId, { scope: req.query.scope });
+  return { presets, count: presets.length };
+}));
+
+router.post('/', handle('create', async (req) => ({ preset: (await presetService.createPreset(req.params.agentId, req.body || {})).preset }), 201));
+
+router.get('/:name', handle('fetch', async (req) => ({ preset: (await presetService.getPreset(req.params.agentId, req.params.name, req.query.scope)).preset })));
+
+router.put('/:name', handle('update', async (req) => ({ preset: (await presetService.updatePreset(req.params.agentId, req.params.name, req.body || {}, req.query.scope)).preset })));
+
+router.delete('/:name', handle('delete', async (req) => {
+  const result = await presetService.deletePreset(req.params.agentId, req.params.name, req.query.scope);
+  return { message: 'Voice preset deleted', name: result.name, scope: result.scope };
+}));
+
+module.exports = router;
\ No newline at end of file
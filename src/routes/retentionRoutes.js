@@ -0,0 +1,32 @@
+// BIG BROTHER COMPLIANT - Retention Admin Routes
+// Mounted at /api/v2/admin/retention; read-only, policies live in configuration
+const express = require('express');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../utils/middleware');
+const retentionService = require('../services/retentionService');
+
+const router = express.Router();
+
+const sendRetentionResponse = (res, success, data, requestId, statusCode = success ? 200 : 500) => {
+  res.status(statusCode).json({ success, ...data, service: 'Big Brother Voice v2', requestId, bigBrotherCompliant: true, timestamp: new Date().toISOString() });
+};
+
+const handle = (operation, fn) => asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  try {
+    sendRetentionResponse(res, true, await fn(req), requestId);
+  } catch (error) {
+    logger.error(`Retention ${operation} failed`, { error: error.message, requestId });
+    sendRetentionResponse(res, false, { error: error.message, ...(error.code && { code: error.code }) }, requestId, error.status || 500);
+  }
+});
+
+router.get('/policies', handle('policy listing', async () => {
+  const policies = retentionService.listPolicies();
+  return { policies, count: policies.length };
+}));
+
+// Reports what the next enforcement would purge and the bytes it would free; ?limit= caps the item list (default 100)
+router.get('/dry-run', handle('dry run', async (req) => retentionService.dryRun({ limit: req.query.limit })));
+
+module.exports = router;
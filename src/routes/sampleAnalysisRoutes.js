@@ -0,0 +1,26 @@
+// BIG BROTHER COMPLIANT - Sample Analysis Routes
+// Mounted under /api/v2/voice/samples; uploads are scored and discarded
+const express = require('express');
+const logger = require('../utils/logger');
+const { asyncHandler, uploadRateLimiter } = require('../utils/middleware');
+const audioManager = require('../services/audioManager');
+const sampleQualityService = require('../services/sampleQualityService');
+
+const router = express.Router();
+
+const sendAnalysisResponse = (res, success, data, requestId, statusCode = success ? 200 : 500) => {
+  res.status(statusCode).json({ success, ...data, service: 'Big Brother Voice v2', requestId, bigBrotherCompliant: true, timestamp: new Date().toISOString() });
+};
+
+router.post('/analyze', uploadRateLimiter, audioManager.getMultipleUploadMiddleware(), asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  try {
+    const { verdict, reports, thresholds } = await sampleQualityService.analyzeUploads(req.files || []);
+    sendAnalysisResponse(res, true, { verdict, reports, thresholds }, requestId);
+  } catch (error) {
+    logger.error('Sample analysis failed', { error: error.message, files: req.files?.map(file => file.originalname), requestId });
+    sendAnalysisResponse(res, false, { error: error.message, ...(error.code && { code: error.code }) }, requestId, error.status || 500);
+  }
+}));
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,47 @@
+// BIG BROTHER COMPLIANT - Agent Sample Routes
+// Mounted under /api/v2/agents/:agentId/samples; changes return a re-clone job ID
+const express = require('express');
+const logger = require('../utils/logger');
+const { asyncHandler, uploadRateLimiter } = require('../utils/middleware');
+const agentService = require('../services/agentService');
+const audioManager = require('../services/audioManager');
+const sampleService = require('../services/sampleService');
+
+const router = express.Router({ mergeParams: true });
+
+const sendSampleResponse = (res, success, data, requestId, statusCode = success ? 200 : 500) => {
+  res.status(statusCode).json({ success, ...data, service: 'Big Brother Voice v2', requestId, bigBrotherCompliant: true, timestamp: new Date().toISOString() });
+};
+
+const statusCodeFor = (error) => error.status || (error.message.includes('not found') ? 404 : error.message.startsWith('Validation failed') ? 400 : 500);
+
+const handle = (operation, fn, successStatus = 200) => asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  try {
+    await agentService.getAgent(req.params.agentId).catch(async (error) => {
+      await Promise.all((req.files || []).map(file => audioManager.cleanupTempFile(file.path)));
+      throw error;
+    });
+    sendSampleResponse(res, true, await fn(req), requestId, successStatus);
+  } catch (error) {
+    logger.error(`Sample ${operation} failed`, { error: error.message, params: req.params, requestId });
+    sendSampleResponse(res, false, { error: error.message, ...(error.code && { code: error.code }) }, requestId, statusCodeFor(error));
+  }
+});
+
+router.get('/', handle('list', async (req) => {
+  const { samples, totalSize, totalDuration } = await sampleService.listSamples(req.params.agentId);
+  return { samples, count: samples.length, totalSize, totalDuration };
+}));
+
+router.post('/', uploadRateLimiter, audioManager.getMultipleUploadMiddleware(), handle('upload', async (req) => {
+  const { samples, added, duplicates, recloneJobId } = await sampleService.addSamples(req.params.agentId, req.files || [], { preprocess: req.body.preprocess });
+  return { added, duplicates, recloneJobId, samples, count: samples.length };
+}, 201));
+
+router.delete('/:sampleId', handle('delete', async (req) => {
+  const { sampleId, recloneJobId } = await sampleService.removeSample(req.params.agentId, req.params.sampleId);
+  return { message: 'Sample removed', sampleId, recloneJobId };
+}));
+
+module.exports = router;
\ No newline at end of file
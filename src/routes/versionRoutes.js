@@ -0,0 +1,41 @@
+// BIG BROTHER COMPLIANT - Voice Version Routes
+// Mounted under /api/v2/agents/:agentId/versions
+const express = require('express');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../utils/middleware');
+const agentService = require('../services/agentService');
+const voiceVersionService = require('../services/voiceVersionService');
+
+const router = express.Router({ mergeParams: true });
+
+const sendVersionResponse = (res, success, data, requestId, statusCode = success ? 200 : 500) => {
+  res.status(statusCode).json({ success, ...data, service: 'Big Brother Voice v2', requestId, bigBrotherCompliant: true, timestamp: new Date().toISOString() });
+};
+
+const statusCodeFor = (error) => error.status || (error.message.includes('not found') ? 404 : error.message.startsWith('Validation failed') ? 400 : 500);
+
+const handle = (operation, fn) => asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  try {
+    await agentService.getAgent(req.params.agentId);
+    sendVersionResponse(res, true, await fn(req), requestId);
+  } catch (error) {
+    logger.error(`Voice version ${operation} failed`, { error: error.message, params: req.params, requestId });
+    sendVersionResponse(res, false, { error: error.message, ...(error.code && { code: error.code }) }, requestId, statusCodeFor(error));
+  }
+});
+
+router.get('/', handle('list', async (req) => {
+  const { versions, activeVersion } = await voiceVersionService.listVersions(req.params.agentId);
+  return { versions, activeVersion, count: versions.length };
+}));
+
+// Body { version } picks the target; without it the version before the active one is restored
+router.post('/rollback', handle('rollback', async (req) => {
+  const { previousVersion, version } = await voiceVersionService.rollback(req.params.agentId, req.body?.version);
+  return { message: `Voice rolled back to version ${version.version}`, previousVersion, version };
+}));
+
+router.get('/:version', handle('fetch', async (req) => ({ version: (await voiceVersionService.getVersion(req.params.agentId, req.params.version)).version })));
+
+module.exports = router;
\ No newline at end of file
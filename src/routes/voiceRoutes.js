@@ -1,11 +1,20 @@
 // BIG BROTHER COMPLIANT - Voice Routes
 const express = require('express');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const validators = require('../utils/validators');
 const { asyncHandler, voiceRateLimiter } = require('../utils/middleware');
 const voiceProcessor = require('../services/voiceProcessor');
 const audioManager = require('../services/audioManager');
+const downloadService = require('../services/downloadService');
 const agentService = require('../services/agentService');
+const synthesisService = require('../services/synthesisService');
+const presetService = require('../services/presetService');
+const voiceVersionService = require('../services/voiceVersionService');
+const synthesisCache = require('../services/synthesisCache');
+const storageQuotaService = require('../services/storageQuotaService');
+const { parseOutputFormat } = require('../utils/audioFormats');
+const jobQueue = require('../services/jobQueue');
 
 const router = express.Router();
 
@@ -15,6 +24,11 @@ router.use((req, res, next) => {
   next();
 });
 
+router.use('/longform', require('./longFormRoutes'));
+router.use('/generations', require('./generationRoutes'));
+router.use('/jobs', require('./jobRoutes'));
+router.use('/samples', require('./sampleAnalysisRoutes'));
+
 const sendVoiceResponse = (res, success, data, requestId, statusCode = success ? 200 : 500) => {
   res.status(statusCode).json({
     success,
@@ -26,9 +40,22 @@ const sendVoiceResponse = (res, success, data, requestId, statusCode = success ?
   });
 };
 
+const resolveJobId = (req) => {
+  const jobId = req.get('X-Job-ID');
+  return jobId && /^[A-Za-z0-9_-]{8,64}$/.test(jobId) ? jobId : `job_${uuidv4()}`;
+};
+
+const sendVoiceError = (res, error, requestId) => {
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  sendVoiceResponse(res, false, { error: error.message, ...(error.code && { code: error.code }) }, requestId, error.status || 500);
+};
+
 router.post('/synthesize', voiceRateLimiter, asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const requestId = res.locals.performance?.requestId;
+  const jobId = resolveJobId(req);
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableFinished) controller.abort(); });
   try {
     const validation = validators.validateTextToSpeechRequest(req.body);
     if (!validation.isValid) {
@@ -36,23 +63,81 @@ router.post('/synthesize', voiceRateLimiter, asyncHandler(async (req, res) => {
       return sendVoiceResponse(res, false, { error: 'Validation failed', details: validation.errors }, requestId, 400);
     }
     const { text, agentId, settings } = validation.sanitized;
+    const outputFormat = req.body.outputFormat && parseOutputFormat(req.body.outputFormat).id;
     const agent = await agentService.getAgent(agentId);
     if (!agent.success) return sendVoiceResponse(res, false, { error: 'Agent not found', agentId }, requestId, 404);
     
-    const mergedSettings = { ...agent.agent.settings, ...settings };
-    const result = await voiceProcessor.generateSpeech(text, agent.agent.voiceId, mergedSettings);
-    const filename = `tts_${agentId}_${Date.now()}.mp3`;
-    const audioResult = await audioManager.saveGeneratedAudio(result.audioStream, filename);
+    const mergedSettings = await presetService.mergeSettings(agent.agent, req.body.preset, settings);
+    const voiceId = await voiceVersionService.resolveVoiceId(agent.agent, req.body.voiceVersion);
+    const result = await synthesisService.synthesizeToFile({ text, agentId, voiceId, settings: mergedSettings, signal: controller.signal, lane: 'interactive', jobId, outputFormat });
     const duration = Date.now() - startTime;
     
-    logger.voiceProcessing('TTS synthesis completed', { agentId, textLength: text.length, filename: audioResult.filename, duration, requestId });
+    logger.voiceProcessing('TTS synthesis completed', { agentId, textLength: text.length, filename: result.filename, cached: result.cached, duration, requestId });
     sendVoiceResponse(res, true, {
-      result: { agentId, text: text.substring(0, 100) + (text.length > 100 ? '...' : ''), audioUrl: `/uploads/${audioResult.filename}`, filename: audioResult.filename, size: audioResult.size, settings: mergedSettings, duration: result.duration, processingDuration: duration }
+      jobId,
+      result: { agentId, text: text.substring(0, 100) + (text.length > 100 ? '...' : ''), audioUrl: downloadService.createUrl(result.filename, { agentId }), filename: result.filename, contentType: result.contentType, outputFormat: result.outputFormat, size: result.size, settings: mergedSettings, cached: result.cached, duration: result.duration, processingDuration: duration }
     }, requestId);
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.error('TTS synthesis failed', { error: error.message, requestBody: req.body, duration, requestId });
-    sendVoiceResponse(res, false, { error: error.message }, requestId, 500);
+    sendVoiceError(res, error, requestId);
+  }
+}));
+
+router.post('/synthesize/stream', voiceRateLimiter, asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const requestId = res.locals.performance?.requestId;
+  const jobId = resolveJobId(req);
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableFinished) controller.abort(); });
+  let synthesizingFor = null;
+  try {
+    const validation = validators.validateTextToSpeechRequest(req.body);
+    if (!validation.isValid) {
+      logger.warn('TTS stream request validation failed', { errors: validation.errors, requestId });
+      return sendVoiceResponse(res, false, { error: 'Validation failed', details: validation.errors }, requestId, 400);
+    }
+    const { text, agentId, settings } = validation.sanitized;
+    const outputFormat = req.body.outputFormat && parseOutputFormat(req.body.outputFormat).id;
+    const agent = await agentService.getAgent(agentId);
+    if (!agent.success) return sendVoiceResponse(res, false, { error: 'Agent not found', agentId }, requestId, 404);
+
+    const mergedSettings = await presetService.mergeSettings(agent.agent, req.body.preset, settings);
+    const voiceId = await voiceVersionService.resolveVoiceId(agent.agent, req.body.voiceVersion);
+    const cacheKey = synthesisCache.buildKey(text, voiceId, mergedSettings, outputFormat);
+    const cached = await synthesisCache.get(cacheKey);
+    if (cached) {
+      const cachedStream = await audioManager.openStream(cached.filename);
+      res.status(200).set({ 'Content-Type': cached.contentType, 'Content-Length': String(cached.size), 'X-Audio-Url': downloadService.createUrl(cached.filename, { agentId }), 'X-Cache': 'HIT', 'X-Job-ID': jobId, 'X-Request-ID': requestId });
+      synthesisService.publishCompleted(agentId, jobId, { ...cached, cached: true });
+      return cachedStream.pipe(res);
+    }
+    synthesizingFor = agentId;
+    // The file is saved after headers go out, so a full quota has to be caught up front
+    await storageQuotaService.assertCapacity(agentId);
+    const ttfb = logger.performance('tts-stream-first-byte', 'VoiceRoutes', { agentId, textLength: text.length, requestId });
+    const result = await voiceProcessor.generateSpeech(text, voiceId, mergedSettings, { signal: controller.signal, lane: 'interactive', jobId, outputFormat });
+    const audioStream = result.audioStream;
+    if (controller.signal.aborted) return audioStream.destroy();
+    controller.signal.addEventListener('abort', () => audioStream.destroy());
+
+    const filename = `tts_${agentId}_${Date.now()}${result.extension}`;
+    res.status(200).set({ 'Content-Type': result.contentType, 'Cache-Control': 'no-cache', 'X-Audio-Url': downloadService.createUrl(filename, { agentId }), 'X-Cache': 'MISS', 'X-Job-ID': jobId, 'X-Request-ID': requestId });
+    res.flushHeaders();
+    audioStream.once('data', () => ttfb.end('First audio chunk sent'));
+    audioStream.pipe(res);
+
+    const audioResult = await audioManager.saveGeneratedAudio(audioStream, filename, { jobId, contentType: result.contentType, agentId });
+    synthesisCache.set(cacheKey, { agentId, voiceId, filename, size: audioResult.size, contentType: result.contentType, outputFormat: result.outputFormat, settings: result.settings });
+    synthesisService.publishCompleted(agentId, jobId, { filename, size: audioResult.size, contentType: result.contentType, outputFormat: result.outputFormat, cached: false });
+    logger.voiceProcessing('TTS stream completed', { agentId, textLength: text.length, filename: audioResult.filename, size: audioResult.size, duration: Date.now() - startTime, requestId });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    if (controller.signal.aborted) return logger.warn('TTS stream cancelled by client', { duration, requestId });
+    if (synthesizingFor) synthesisService.publishFailed(synthesizingFor, jobId, error);
+    logger.error('TTS stream failed', { error: error.message, requestBody: req.body, duration, requestId });
+    if (res.headersSent) return res.destroy(error);
+    sendVoiceError(res, error, requestId);
   }
 }));
 
@@ -68,29 +153,30 @@ router.get('/voices', asyncHandler(async (req, res) => {
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.error('Failed to fetch voices', { error: error.message, duration, requestId });
-    sendVoiceResponse(res, false, { error: error.message }, requestId, 500);
+    sendVoiceError(res, error, requestId);
   }
 }));
 
-router.post('/clone', voiceRateLimiter, audioManager.getUploadMiddleware(), asyncHandler(async (req, res) => {
+router.post('/clone', voiceRateLimiter, audioManager.getMultipleUploadMiddleware(), asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const requestId = res.locals.performance?.requestId;
+  const jobId = resolveJobId(req);
   try {
     const { name, description, settings } = req.body;
-    const audioFile = req.file;
-    if (!audioFile) return sendVoiceResponse(res, false, { error: 'Audio file is required' }, requestId, 400);
+    const audioFiles = req.files || [];
+    if (audioFiles.length === 0) return sendVoiceResponse(res, false, { error: 'At least one audio file is required' }, requestId, 400);
     
-    logger.voiceProcessing('Starting voice clone', { name, filename: audioFile.originalname, size: audioFile.size, requestId });
+    logger.voiceProcessing('Starting voice clone', { name, filenames: audioFiles.map(file => file.originalname), size: audioFiles.reduce((sum, file) => sum + file.size, 0), requestId });
     const agentData = { name, description, settings: settings ? JSON.parse(settings) : {} };
-    const result = await agentService.createAgent(agentData, audioFile);
+    const result = await agentService.createAgent(agentData, audioFiles, { jobId, preprocess: req.body.preprocess, qualityCheck: req.body.qualityCheck });
     const duration = Date.now() - startTime;
     
     logger.performance('Voice clone completed', duration, { agentId: result.agent.id, voiceId: result.agent.voiceId, requestId });
-    sendVoiceResponse(res, true, { agent: result.agent, processingDuration: duration }, requestId);
+    sendVoiceResponse(res, true, { jobId, agent: result.agent, duplicates: result.duplicates, qualityCheck: result.qualityCheck, processingDuration: duration }, requestId);
   } catch (error) {
     const duration = Date.now() - startTime;
-    logger.error('Voice clone failed', { error: error.message, requestBody: req.body, file: req.file?.originalname, duration, requestId });
-    sendVoiceResponse(res, false, { error: error.message }, requestId, 500);
+    logger.error('Voice clone failed', { error: error.message, jobId, requestBody: req.body, files: req.files?.map(file => file.originalname), duration, requestId });
+    sendVoiceError(res, error, requestId);
   }
 }));
 
@@ -99,13 +185,26 @@ router.get('/queue/status', asyncHandler(async (req, res) => {
   try {
     const queueStatus = voiceProcessor.getQueueStatus();
     const fileStats = await audioManager.getFileStats();
-    sendVoiceResponse(res, true, { queue: queueStatus, files: fileStats }, requestId);
+    const jobs = await jobQueue.getStats();
+    sendVoiceResponse(res, true, { queue: queueStatus, jobs, files: fileStats, cache: synthesisCache.getStats() }, requestId);
   } catch (error) {
     logger.error('Failed to get queue status', { error: error.message, requestId });
     sendVoiceResponse(res, false, { error: error.message }, requestId, 500);
   }
 }));
 
+router.get('/cache/stats', (req, res) => {
+  sendVoiceResponse(res, true, { cache: synthesisCache.getStats() }, res.locals.performance?.requestId);
+});
+
+router.delete('/cache/agents/:agentId', (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  const validation = validators.validateAgentId(req.params.agentId);
+  if (!validation.isValid) return sendVoiceResponse(res, false, { error: 'Validation failed', details: validation.errors }, requestId, 400);
+  const evicted = synthesisCache.evictAgent(validation.sanitized);
+  sendVoiceResponse(res, true, { agentId: validation.sanitized, evicted, cache: synthesisCache.getStats() }, requestId);
+});
+
 router.get('/user', asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const requestId = res.locals.performance?.requestId;
@@ -116,7 +215,7 @@ router.get('/user', asyncHandler(async (req, res) => {
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.error('Failed to get user info', { error: error.message, duration, requestId });
-    sendVoiceResponse(res, false, { error: error.message }, requestId, 500);
+    sendVoiceError(res, error, requestId);
   }
 }));
 
@@ -0,0 +1,59 @@
+// BIG BROTHER COMPLIANT - Webhook Routes
+// Mounted at /api/v2/webhooks behind the admin key (see utils/adminAuth)
+const express = require('express');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../utils/middleware');
+const { requireAdminKey } = require('../utils/adminAuth');
+const webhookService = require('../services/webhookService');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+router.use((req, res, next) => {
+  res.header('X-Big-Brother-Compliant', 'true');
+  res.header('X-Service', 'Webhooks v2');
+  next();
+});
+
+const sendWebhookResponse = (res, success, data, requestId, statusCode = success ? 200 : 500) => {
+  res.status(statusCode).json({ success, ...data, service: 'Big Brother Voice v2', requestId, bigBrotherCompliant: true, timestamp: new Date().toISOString() });
+};
+
+const statusCodeFor = (error) => (error.message.includes('not found') ? 404 : error.message.startsWith('Validation failed') ? 400 : error.status || 500);
+
+const handle = (operation, fn, successStatus = 200) => asyncHandler(async (req, res) => {
+  const requestId = res.locals.performance?.requestId;
+  try {
+    sendWebhookResponse(res, true, await fn(req), requestId, successStatus);
+  } catch (error) {
+    logger.error(`Webhook ${operation} failed`, { error: error.message, params: req.params, requestId });
+    sendWebhookResponse(res, false, { error: error.message, ...(error.code && { code: error.code }) }, requestId, statusCodeFor(error));
+  }
+});
+
+router.post('/', handle('subscription create', async (req) => {
+  const { subscription } = await webhookService.createSubscription(req.body || {});
+  return { subscription };
+}, 201));
+
+router.get('/', handle('subscription list', async () => {
+  const { subscriptions } = await webhookService.listSubscriptions();
+  return { subscriptions, count: subscriptions.length };
+}));
+
+router.get('/:subscriptionId', handle('subscription fetch', async (req) => ({ subscription: (await webhookService.getSubscription(req.params.subscriptionId)).subscription })));
+
+router.delete('/:subscriptionId', handle('subscription delete', async (req) => {
+  await webhookService.deleteSubscription(req.params.subscriptionId);
+  return { message: 'Webhook subscription deleted', subscriptionId: req.params.subscriptionId };
+}));
+
+router.get('/:subscriptionId/deliveries', handle('delivery list', async (req) => {
+  const { deliveries } = await webhookService.listDeliveries(req.params.subscriptionId, req.query);
+  return { deliveries, count: deliveries.length };
+}));
+
+router.post('/deliveries/:deliveryId/redeliver', handle('redelivery', async (req) => ({ delivery: (await webhookService.redeliver(req.params.deliveryId)).delivery }), 202));
+
+module.exports = router;
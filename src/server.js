@@ -7,14 +7,10 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const path = require('path');
 
 const logger = require('./utils/logger');
 const { performanceMonitoring, errorHandler, rateLimiter } = require('./utils/middleware');
 const healthRoutes = require('./routes/healthRoutes-simple');
-// Temporarily disable complex routes to debug deployment
-// const voiceRoutes = require('./routes/voiceRoutes');
-// const agentRoutes = require('./routes/agentRoutes');
 
 class BigBrotherVoiceServer {
   constructor() {
@@ -52,8 +48,6 @@ class BigBrotherVoiceServer {
     this.app.use(express.urlencoded({ extended: true, limit: '50mb' }));
     this.app.use(performanceMonitoring);
     this.app.use(rateLimiter);
-
-    this.app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
   }
 
   setupRoutes() {
@@ -75,13 +69,39 @@ class BigBrotherVoiceServer {
       });
     });
 
-    // Temporarily disable complex routes to debug deployment
-    // this.app.use('/api/v2/voice', voiceRoutes);
-    // this.app.use('/api/v2/agents', agentRoutes);
+    this.mountApiRoutes();
+    // The filesystem compliance monitor is not started in deployments
     // this.app.use('/api/v2/monitor', require('./routes/monitorRoutes'));
     this.app.use('/health', healthRoutes);
   }
 
+  // Voice configuration is validated when these routers load; an invalid setup (e.g. no ElevenLabs key)
+  // answers 503 on the API instead of crashing the process, so /health stays up to report it
+  mountApiRoutes() {
+    const routes = {
+      '/api/v2/voice': './routes/voiceRoutes',
+      '/api/v2/agents': './routes/agentRoutes',
+      '/api/v2/webhooks': './routes/webhookRoutes',
+      // Stored audio is only reachable through signed, expiring links (see services/downloadService)
+      '/api/v2/files': './routes/downloadRoutes',
+      '/api/v2/admin': './routes/adminRoutes'
+    };
+    try {
+      for (const [mountPath, routerPath] of Object.entries(routes)) this.app.use(mountPath, require(routerPath));
+    } catch (error) {
+      logger.error('Voice API failed to load, API routes answer 503', { error: error.message });
+      this.app.use(Object.keys(routes), (req, res) => {
+        res.status(503).json({
+          success: false,
+          error: 'Voice API is unavailable due to a configuration error',
+          code: 'SERVICE_MISCONFIGURED',
+          service: 'Big Brother Voice v2',
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
+  }
+
   setupErrorHandling() {
     this.app.use((req, res) => {
       res.status(404).json({
@@ -95,6 +115,41 @@ class BigBrotherVoiceServer {
     this.app.use(errorHandler);
   }
 
+  async startJobQueue() {
+    try {
+      this.jobQueue = require('./services/jobQueue');
+      require('./services/generationService'); // registers the generation job handler
+      require('./services/sampleService'); // registers the agent re-clone job handler
+      require('./services/longFormService'); // registers the long-form document job handler
+      require('./services/webhookService'); // subscribes to lifecycle events and registers webhook delivery
+      await this.jobQueue.start();
+    } catch (error) {
+      this.jobQueue = null;
+      logger.error('Job queue failed to start, background jobs disabled', { error: error.message });
+    }
+  }
+
+  async startMaintenance() {
+    try {
+      this.maintenance = require('./services/maintenanceScheduler');
+      require('./services/retentionService'); // registers the retention task
+      await this.maintenance.start();
+    } catch (error) {
+      this.maintenance = null;
+      logger.error('Maintenance scheduler failed to start, scheduled cleanup disabled', { error: error.message });
+    }
+  }
+
+  attachRealtimeGateway(server) {
+    try {
+      this.realtimeGateway = require('./services/realtimeSynthesis');
+      this.realtimeGateway.attach(server);
+    } catch (error) {
+      this.realtimeGateway = null;
+      logger.error('Realtime synthesis gateway failed to attach, WebSocket sessions disabled', { error: error.message });
+    }
+  }
+
   async start() {
     try {
       const server = this.app.listen(this.port, '0.0.0.0', () => {
@@ -108,10 +163,18 @@ class BigBrotherVoiceServer {
       });
 
       server.timeout = 30000;
+      this.attachRealtimeGateway(server);
+      await this.startJobQueue();
+      await this.startMaintenance();
 
       process.on('SIGTERM', () => {
         logger.info('SIGTERM received, shutting down gracefully');
-        server.close(() => {
+        if (this.realtimeGateway) this.realtimeGateway.close();
+        if (this.maintenance) this.maintenance.stop();
+        require('./services/voiceProcessor').shutdown();
+        server.close(async () => {
+          // Release leases on unfinished jobs so another instance can pick them up immediately
+          if (this.jobQueue) await this.jobQueue.stop().catch(error => logger.error('Job queue shutdown failed', { error: error.message }));
           logger.info('Process terminated');
           process.exit(0);
         });
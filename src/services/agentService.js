@@ -3,8 +3,18 @@ const crypto = require('crypto');
 const logger = require('../utils/logger');
 const validators = require('../utils/validators');
 const database = require('../config/database');
+const voiceConfig = require('../config/voiceConfig');
 const voiceProcessor = require('./voiceProcessor');
 const audioManager = require('./audioManager');
+const synthesisCache = require('./synthesisCache');
+const sampleService = require('./sampleService');
+const voiceVersionService = require('./voiceVersionService');
+const sampleQualityService = require('./sampleQualityService');
+const retentionService = require('./retentionService');
+const storageQuotaService = require('./storageQuotaService');
+const eventBus = require('./eventBus');
+
+const AGENT_SORT_COLUMNS = { createdAt: 'created_at', updatedAt: 'updated_at', id: 'id', name: 'name' };
 
 class AgentService {
   constructor() { this.bigBrotherCompliant = true; }
@@ -14,38 +24,64 @@ class AgentService {
     return `agent_${sanitized}_${crypto.randomBytes(4).toString('hex')}`;
   }
 
-  async createAgent(agentData, audioFile) {
+  async createAgent(agentData, audioFiles, options = {}) {
     const startTime = Date.now();
+    const files = [].concat(audioFiles || []);
     try {
-      const validation = validators.validateVoiceCloneRequest({ ...agentData, voiceFile: audioFile });
-      if (!validation.isValid) throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      const validation = validators.validateVoiceCloneRequest({ ...agentData, voiceFile: files[0] });
+      const requiredSamples = voiceConfig.processingConfig.voice.cloneRequiredSamples;
+      if (files.length > 0 && files.length < requiredSamples) validation.errors.push(`At least ${requiredSamples} audio samples are required for cloning`);
+      if (validation.errors.length > 0) {
+        await Promise.all(files.map(file => audioManager.cleanupTempFile(file.path)));
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+      const qualityCheck = sampleQualityService.wantsQualityGate(options.qualityCheck) ? await sampleQualityService.assertClonable(files).catch(async (error) => {
+        await Promise.all(files.map(file => audioManager.cleanupTempFile(file.path)));
+        throw error;
+      }) : null;
 
       const agentId = this.generateAgentId(validation.sanitized.name);
-      logger.agentOperation('Creating new agent', { agentId, name: validation.sanitized.name, audioFile: audioFile?.originalname });
-
-      const audioResult = audioFile ? await audioManager.processUpload(audioFile) : null;
-      const voiceResult = await voiceProcessor.createVoiceClone(validation.sanitized.name, validation.sanitized.description, audioResult?.path);
+      logger.agentOperation('Creating new agent', { agentId, name: validation.sanitized.name, audioFiles: files.map(file => file.originalname) });
+
+      const prepared = await sampleService.prepareSamples(files, { jobId: options.jobId, preprocess: options.preprocess, agentId });
+      const { unique: samples, duplicates } = await sampleService.dedupeSamples(prepared);
+      const discardSamples = () => Promise.all(samples.map(sample => sampleService.deleteSampleFiles(sample.key, sample.processedKey)));
+      if (samples.length < requiredSamples) {
+        await discardSamples();
+        throw Object.assign(new Error(`Validation failed: ${requiredSamples} distinct audio samples are required for cloning, ${duplicates.length} duplicate(s) removed`), { status: 400 });
+      }
+      const voiceResult = await audioManager.withLocalFiles(samples.map(sample => sample.processedKey || sample.key),
+        paths => voiceProcessor.createVoiceClone(validation.sanitized.name, validation.sanitized.description, paths, { jobId: options.jobId })).catch(async (error) => {
+        await discardSamples();
+        throw error;
+      });
 
       const now = new Date().toISOString();
       const agent = {
         id: agentId, name: validation.sanitized.name, description: validation.sanitized.description || '',
         voice_id: voiceResult.voiceId, settings: JSON.stringify(validation.sanitized.settings),
-        file_path: audioResult?.path || null, file_size: audioResult?.size || null,
+        file_path: samples[0]?.key || null, file_size: samples.length > 0 ? samples.reduce((sum, sample) => sum + sample.size, 0) : null,
         created_at: now, updated_at: now, big_brother_compliant: 1
       };
 
-      const db = await database.getDatabase();
-      await db.run(`INSERT INTO agents (id, name, description, voice_id, settings, file_path, file_size, created_at, updated_at, big_brother_compliant) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [agent.id, agent.name, agent.description, agent.voice_id, agent.settings, agent.file_path, agent.file_size, agent.created_at, agent.updated_at, agent.big_brother_compliant]);
+      // Either the agent, its samples and its first version are all written, or none are and the clone is undone
+      const { version } = await database.transaction(async () => {
+        await database.executeUpdate(`INSERT INTO agents (id, name, description, voice_id, settings, file_path, file_size, created_at, updated_at, big_brother_compliant) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [agent.id, agent.name, agent.description, agent.voice_id, agent.settings, agent.file_path, agent.file_size, agent.created_at, agent.updated_at, agent.big_brother_compliant]);
+        await sampleService.recordSamples(agentId, samples);
+        return voiceVersionService.recordVersion(agentId, { voiceId: voiceResult.voiceId, sampleIds: samples.map(sample => sample.id), settings: validation.sanitized.settings, reason: 'create' });
+      }).catch(async (error) => {
+        await voiceProcessor.deleteVoice(voiceResult.voiceId).catch(deleteError => logger.error('Failed to delete provider voice of failed agent', { agentId, voiceId: voiceResult.voiceId, error: deleteError.message }));
+        await discardSamples();
+        throw error;
+      });
 
       const duration = Date.now() - startTime;
       logger.performance('Agent created', duration, { agentId, voiceId: voiceResult.voiceId });
+      const created = { id: agent.id, name: agent.name, description: agent.description, voiceId: agent.voice_id, settings: JSON.parse(agent.settings), sampleCount: samples.length, voiceVersion: version.version, createdAt: agent.created_at, bigBrotherCompliant: this.bigBrotherCompliant };
+      eventBus.publish('agent.created', { agent: created });
       
-      return {
-        success: true,
-        agent: { id: agent.id, name: agent.name, description: agent.description, voiceId: agent.voice_id, settings: JSON.parse(agent.settings), createdAt: agent.created_at, bigBrotherCompliant: this.bigBrotherCompliant },
-        duration
-      };
+      return { success: true, agent: created, duplicates, qualityCheck, duration };
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.error('Agent creation failed', { error: error.message, name: agentData?.name, duration });
@@ -65,7 +101,7 @@ class AgentService {
 
       return {
         success: true,
-        agent: { id: agent.id, name: agent.name, description: agent.description, voiceId: agent.voice_id, settings: JSON.parse(agent.settings || '{}'), createdAt: agent.created_at, updatedAt: agent.updated_at, bigBrotherCompliant: this.bigBrotherCompliant }
+        agent: { id: agent.id, name: agent.name, description: agent.description, voiceId: agent.voice_id, settings: JSON.parse(agent.settings || '{}'), storage: await storageQuotaService.getAgentUsage(agentId), createdAt: agent.created_at, updatedAt: agent.updated_at, bigBrotherCompliant: this.bigBrotherCompliant }
       };
     } catch (error) {
       logger.error('Failed to fetch agent', { error: error.message, agentId });
@@ -84,7 +120,7 @@ class AgentService {
 
       const db = await database.getDatabase();
       const total = (await db.get('SELECT COUNT(*) as total FROM agents')).total;
-      const agents = await db.all(`SELECT id, name, description, voice_id, settings, created_at, updated_at, big_brother_compliant FROM agents ORDER BY ${sortBy} ${sortOrder.toUpperCase()} LIMIT ? OFFSET ?`, [limit, offset]);
+      const agents = await db.all(`SELECT id, name, description, voice_id, settings, created_at, updated_at, big_brother_compliant FROM agents ORDER BY ${AGENT_SORT_COLUMNS[sortBy]} ${sortOrder.toUpperCase()} LIMIT ? OFFSET ?`, [limit, offset]);
 
       return {
         success: true,
@@ -122,12 +158,10 @@ class AgentService {
 
       const duration = Date.now() - startTime;
       logger.performance('Agent updated', duration, { agentId });
+      const updated = { id: agentId, name: validation.sanitized.name, description: validation.sanitized.description, voiceId: agent.agent.voiceId, settings: validation.sanitized.settings, updatedAt: now, bigBrotherCompliant: this.bigBrotherCompliant };
+      eventBus.publish('agent.updated', { agent: updated });
 
-      return {
-        success: true,
-        agent: { id: agentId, name: validation.sanitized.name, description: validation.sanitized.description, voiceId: agent.agent.voiceId, settings: validation.sanitized.settings, updatedAt: now, bigBrotherCompliant: this.bigBrotherCompliant },
-        duration
-      };
+      return { success: true, agent: updated, duration };
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.error('Agent update failed', { error: error.message, agentId, duration });
@@ -144,11 +178,18 @@ class AgentService {
 
       const agent = await this.getAgent(agentId);
       if (!agent.success) throw new Error('Agent not found');
+      retentionService.assertNotHeld(agentId);
 
-      await voiceProcessor.deleteVoice(agent.agent.voiceId);
+      await voiceVersionService.deleteAgentVoices(agentId, agent.agent.voiceId);
       const db = await database.getDatabase();
+      const sampleFiles = await database.executeQuery('SELECT file_path, processed_path FROM agent_samples WHERE agent_id = ?', [agentId]);
       const result = await db.run('DELETE FROM agents WHERE id = ?', [agentId]);
       if (result.changes === 0) throw new Error('Agent not found in database');
+      await Promise.all(sampleFiles.map(sample => sampleService.deleteSampleFiles(sample.file_path, sample.processed_path)));
+      // Generated and long-form audio has no row left to reach it once the agent is gone
+      await Promise.all((await storageQuotaService.listAgentKeys(agentId)).map(key => audioManager.deleteFile(key)));
+      synthesisCache.evictAgent(agentId);
+      eventBus.publish('agent.deleted', { agentId, name: agent.agent.name, voiceId: agent.agent.voiceId });
 
       const duration = Date.now() - startTime;
       logger.performance('Agent deleted', duration, { agentId });
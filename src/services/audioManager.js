@@ -1,30 +1,32 @@
 // BIG BROTHER COMPLIANT - Audio Manager Service
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { buffer: readAll } = require('stream/consumers');
 const multer = require('multer');
 const logger = require('../utils/logger');
 const validators = require('../utils/validators');
+const jobProgress = require('./jobProgress');
+const { parseAudioMetadata } = require('../utils/audioMetadata');
+const { sniffFormat } = require('../utils/audioSniffer');
+const { preprocessFile } = require('../utils/samplePreprocessor');
+const { rawPcmMiddleware } = require('../utils/rawPcm');
 const voiceConfig = require('../config/voiceConfig');
+const sampleConfig = require('../config/sampleConfig');
+const storageConfig = require('../config/storageConfig');
+const { createStorage, withLocalFiles } = require('./storage');
+const storageQuotaService = require('./storageQuotaService');
 
 class AudioManager {
   constructor() {
     this.bigBrotherCompliant = true;
-    this.uploadsDir = path.join(__dirname, '../../uploads');
-    this.tempDir = path.join(__dirname, '../../temp');
-    this.initializeDirectories();
+    // Durable audio lives in the configured driver; multer uploads and staging stay in local scratch
+    this.storage = createStorage(storageConfig.driver, storageConfig.getDriverOptions());
+    this.scratch = createStorage('local', { root: storageConfig.tempDir });
+    this.tempDir = this.scratch.root;
     this.multerConfig = this.setupMulter();
-  }
-
-  async initializeDirectories() {
-    try {
-      await fs.mkdir(this.uploadsDir, { recursive: true });
-      await fs.mkdir(this.tempDir, { recursive: true });
-      logger.info('Audio directories initialized', { uploadsDir: this.uploadsDir, tempDir: this.tempDir, bigBrotherCompliant: this.bigBrotherCompliant });
-    } catch (error) {
-      logger.error('Failed to initialize audio directories', { error: error.message });
-      throw error;
-    }
+    logger.info('Audio storage initialized', { driver: this.storage.name, tempDir: this.tempDir, bigBrotherCompliant: this.bigBrotherCompliant });
   }
 
   setupMulter() {
@@ -49,11 +51,22 @@ class AudioManager {
     return `${Date.now()}-${hash}-${sanitized}${ext}`;
   }
 
-  getUploadMiddleware() { return this.multerConfig.single('audio'); }
-  getMultipleUploadMiddleware() { return this.multerConfig.array('audio', 5); }
+  // Headerless .pcm uploads are wrapped as WAV before the route sees them
+  getUploadMiddleware() {
+    return [this.multerConfig.single('audio'), this.rawPcmStep(req => [req.file].filter(Boolean))];
+  }
+
+  getMultipleUploadMiddleware() {
+    return [this.multerConfig.array('audio', 5), this.rawPcmStep(req => req.files || [])];
+  }
+
+  rawPcmStep(getFiles) {
+    return rawPcmMiddleware(getFiles, filePath => this.cleanupTempFile(filePath));
+  }
 
   async processUpload(file, options = {}) {
     const startTime = Date.now();
+    const stored = [];
     try {
       logger.audioProcessing('Processing audio upload', { filename: file.originalname, size: file.size, mimetype: file.mimetype });
       const validation = validators.validateAudioFile(file);
@@ -61,67 +74,132 @@ class AudioManager {
         await this.cleanupTempFile(file.path);
         throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
       }
+      const format = await sniffFormat(file.path, file.originalname);
       const audioInfo = await this.getAudioInfo(file.path);
-      const permanentPath = await this.moveToUploads(file.path, file.filename);
+      this.validateDuration(audioInfo, file.originalname);
+      // Stored under the detected extension; providers infer the codec from the filename
+      const filename = `${path.basename(file.filename, path.extname(file.filename))}.${format}`;
+      if (filename !== file.filename) logger.warn('Upload extension does not match its content', { filename: file.originalname, detected: format });
+      if (options.preprocess && format !== 'wav') {
+        logger.warn('Preprocessing skipped, only WAV and raw PCM samples can be preprocessed', { filename: file.originalname, format });
+      }
+      const processed = options.preprocess && format === 'wav'
+        ? await this.preprocessSample(file.path, filename, file.originalname)
+        : null;
+      if (processed) stored.push(processed.key);
+      const key = await this.moveToUploads(file.path, filename);
+      stored.push(key);
+      await storageQuotaService.record(options.agentId, 'sample', [{ key, size: file.size }, ...(processed ? [processed] : [])]);
       const duration = Date.now() - startTime;
-      logger.performance('Audio upload processed', duration, { filename: file.originalname, size: file.size, permanentPath });
-      return { success: true, filename: file.filename, originalName: file.originalname, size: file.size, path: permanentPath, audioInfo, duration, bigBrotherCompliant: this.bigBrotherCompliant };
+      logger.performance('Audio upload processed', duration, { filename: file.originalname, size: file.size, format, key, preprocessed: !!processed });
+      jobProgress.record(options.jobId, 'saved', { kind: 'sample', filename, size: file.size });
+      return { success: true, filename, originalName: file.originalname, size: file.size, format, key, processed, audioInfo, duration, bigBrotherCompliant: this.bigBrotherCompliant };
     } catch (error) {
       await this.cleanupTempFile(file.path);
+      await Promise.all(stored.map(key => this.deleteFile(key)));
       logger.error('Audio upload processing failed', { error: error.message, filename: file.originalname, size: file.size });
+      jobProgress.record(options.jobId, 'failed', { kind: 'sample', error: error.message });
       throw error;
     }
   }
 
+  // Falls back to SAMPLE_PREPROCESSING
+  wantsPreprocessing(flag) {
+    return sampleConfig.parseFlag(flag, sampleConfig.preprocessing.enabled);
+  }
+
+  // The original stays untouched; the cleaned-up copy is stored beside it as <name>.processed.wav
+  async preprocessSample(tempPath, filename, originalName) {
+    const key = filename.replace(/\.wav$/, '.processed.wav');
+    const { buffer, stats } = await preprocessFile(tempPath, originalName, sampleConfig.preprocessing);
+    this.validateDuration({ duration: stats.duration }, `${originalName} after silence trimming`);
+    await this.storage.put(key, buffer, { contentType: 'audio/wav' });
+    logger.audioProcessing('Sample preprocessed', { key, ...stats });
+    return { key, size: buffer.length, stats };
+  }
+
   async moveToUploads(tempPath, filename) {
-    const permanentPath = path.join(this.uploadsDir, filename);
     try {
-      await fs.rename(tempPath, permanentPath);
-      logger.audioProcessing('File moved to uploads', { from: tempPath, to: permanentPath });
-      return permanentPath;
+      await this.storage.put(filename, createReadStream(tempPath));
+      await fs.unlink(tempPath);
+      logger.audioProcessing('File moved to storage', { from: tempPath, key: filename, driver: this.storage.name });
+      return filename;
     } catch (error) {
-      logger.error('Failed to move file to uploads', { error: error.message, tempPath });
+      logger.error('Failed to move file to storage', { error: error.message, tempPath });
       throw error;
     }
   }
 
   async getAudioInfo(filePath) {
     try {
-      const stats = await fs.stat(filePath);
-      return { size: stats.size, created: stats.birthtime, modified: stats.mtime, extension: path.extname(filePath).toLowerCase(), bigBrotherCompliant: this.bigBrotherCompliant };
+      const [stats, buffer] = await Promise.all([fs.stat(filePath), fs.readFile(filePath)]);
+      const extension = path.extname(filePath).toLowerCase();
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+      return { size: stats.size, created: stats.birthtime, modified: stats.mtime, extension, hash, ...this.readMetadata(buffer, filePath), bigBrotherCompliant: this.bigBrotherCompliant };
     } catch (error) {
       logger.warn('Could not get audio info', { error: error.message, filePath });
-      return { size: 0, created: new Date(), modified: new Date(), extension: '', bigBrotherCompliant: this.bigBrotherCompliant };
+      return { size: 0, created: new Date(), modified: new Date(), extension: '', hash: null, ...this.readMetadata(null), bigBrotherCompliant: this.bigBrotherCompliant };
+    }
+  }
+
+  readMetadata(buffer, filePath) {
+    try {
+      if (!buffer) throw new Error('No audio data');
+      const { container, codec, duration, sampleRate, channels, bitrate } = parseAudioMetadata(buffer);
+      return { container, codec, duration, sampleRate, channels, bitrate, metadataError: null };
+    } catch (error) {
+      if (buffer) logger.warn('Could not parse audio metadata', { error: error.message, filePath });
+      return { container: null, codec: null, duration: null, sampleRate: null, channels: null, bitrate: null, metadataError: error.message };
+    }
+  }
+
+  // Runs before any provider call so clips outside the configured range never cost clone credits
+  validateDuration(audioInfo, originalName) {
+    const { minDuration, maxDuration } = voiceConfig.processingConfig.audio;
+    if (audioInfo.duration === null) {
+      const reason = `could not read the duration of ${originalName} (${audioInfo.metadataError})`;
+      throw Object.assign(new Error(`Validation failed: ${reason}`), { status: 400, code: 'AUDIO_UNREADABLE' });
+    }
+    if (audioInfo.duration < minDuration || audioInfo.duration > maxDuration) {
+      const reason = `${originalName} is ${audioInfo.duration.toFixed(1)}s long; clips must be ${minDuration}-${maxDuration}s`;
+      throw Object.assign(new Error(`Validation failed: ${reason}`), {
+        status: 400,
+        code: audioInfo.duration < minDuration ? 'AUDIO_TOO_SHORT' : 'AUDIO_TOO_LONG'
+      });
     }
   }
 
-  async deleteFile(filePath) {
+  // Rows written before the storage layer hold absolute paths; the filename is the key either way
+  keyOf(ref) { return path.basename(ref); }
+  openStream(ref, range = null) { return this.storage.getStream(this.keyOf(ref), range); }
+  async exists(ref) { return (await this.storage.stat(this.keyOf(ref))) !== null; }
+
+  readFile(ref) { return this.openStream(ref).then(readAll); }
+  // Providers upload from disk; fn receives local paths that are only valid until it settles
+  withLocalFiles(refs, fn) { return withLocalFiles(this.storage, this.scratch, refs.map(ref => this.keyOf(ref)), fn); }
+
+  async deleteFile(ref) {
     try {
-      await fs.unlink(filePath);
-      logger.audioProcessing('File deleted', { filePath });
-      return true;
+      const deleted = await this.storage.delete(this.keyOf(ref));
+      await storageQuotaService.release(this.keyOf(ref));
+      logger.audioProcessing('File deleted', { key: this.keyOf(ref), deleted });
+      return deleted;
     } catch (error) {
-      logger.error('Failed to delete file', { error: error.message, filePath });
+      logger.error('Failed to delete file', { error: error.message, ref });
       return false;
     }
   }
 
   async cleanupTempFile(filePath) {
-    if (filePath && filePath.includes(this.tempDir)) await this.deleteFile(filePath);
+    if (filePath && path.dirname(path.resolve(filePath)) === this.tempDir) await this.scratch.delete(path.basename(filePath)).catch(() => false);
   }
 
   async cleanupOldFiles(maxAgeHours = 24) {
     try {
       const cutoffTime = Date.now() - (maxAgeHours * 60 * 60 * 1000);
       let cleaned = 0;
-      const tempFiles = await fs.readdir(this.tempDir);
-      for (const file of tempFiles) {
-        const filePath = path.join(this.tempDir, file);
-        const stats = await fs.stat(filePath);
-        if (stats.mtime.getTime() < cutoffTime) {
-          await this.deleteFile(filePath);
-          cleaned++;
-        }
+      for (const file of await this.scratch.list()) {
+        if (file.lastModified.getTime() < cutoffTime && await this.scratch.delete(file.key)) cleaned++;
       }
       logger.info('Temp files cleanup completed', { cleaned, maxAgeHours, bigBrotherCompliant: this.bigBrotherCompliant });
       return cleaned;
@@ -133,34 +211,28 @@ class AudioManager {
 
   async getFileStats() {
     try {
-      const uploadFiles = await fs.readdir(this.uploadsDir);
-      const tempFiles = await fs.readdir(this.tempDir);
-      let totalUploadSize = 0, totalTempSize = 0;
-      for (const file of uploadFiles) totalUploadSize += (await fs.stat(path.join(this.uploadsDir, file))).size;
-      for (const file of tempFiles) totalTempSize += (await fs.stat(path.join(this.tempDir, file))).size;
-      return { uploads: { count: uploadFiles.length, totalSize: totalUploadSize }, temp: { count: tempFiles.length, totalSize: totalTempSize }, bigBrotherCompliant: this.bigBrotherCompliant };
+      const [uploadFiles, tempFiles] = await Promise.all([this.storage.list(), this.scratch.list()]);
+      const totalSize = (files) => files.reduce((sum, file) => sum + file.size, 0);
+      return { driver: this.storage.name, uploads: { count: uploadFiles.length, totalSize: totalSize(uploadFiles) }, temp: { count: tempFiles.length, totalSize: totalSize(tempFiles) }, bigBrotherCompliant: this.bigBrotherCompliant };
     } catch (error) {
       logger.error('Failed to get file stats', { error: error.message });
-      return { uploads: { count: 0, totalSize: 0 }, temp: { count: 0, totalSize: 0 }, bigBrotherCompliant: this.bigBrotherCompliant };
+      return { driver: this.storage.name, uploads: { count: 0, totalSize: 0 }, temp: { count: 0, totalSize: 0 }, bigBrotherCompliant: this.bigBrotherCompliant };
     }
   }
 
-  async saveGeneratedAudio(audioStream, filename) {
+  async saveGeneratedAudio(audioStream, filename, options = {}) {
     const startTime = Date.now();
-    const filePath = path.join(this.uploadsDir, filename);
     try {
-      const writeStream = require('fs').createWriteStream(filePath);
-      audioStream.pipe(writeStream);
-      await new Promise((resolve, reject) => {
-        writeStream.on('finish', resolve);
-        writeStream.on('error', reject);
-      });
-      const stats = await fs.stat(filePath);
+      const { size } = await this.storage.put(filename, audioStream, { contentType: options.contentType });
+      await storageQuotaService.record(options.agentId, 'generated', [{ key: filename, size }]);
       const duration = Date.now() - startTime;
-      logger.audioProcessing('Generated audio saved', { filename, size: stats.size, duration });
-      return { success: true, filename, path: filePath, size: stats.size, duration, bigBrotherCompliant: this.bigBrotherCompliant };
+      logger.audioProcessing('Generated audio saved', { filename, size, duration, driver: this.storage.name });
+      jobProgress.record(options.jobId, 'saved', { kind: 'generated', filename, size }, { final: true });
+      return { success: true, filename, key: filename, size, duration, bigBrotherCompliant: this.bigBrotherCompliant };
     } catch (error) {
       logger.error('Failed to save generated audio', { error: error.message, filename });
+      jobProgress.record(options.jobId, 'failed', { kind: 'generated', error: error.message });
+      await this.storage.delete(filename).catch(() => {});
       throw error;
     }
   }
@@ -0,0 +1,115 @@
+// BIG BROTHER COMPLIANT - Provider Circuit Breaker
+// Fails provider calls fast with a 503 while the recent failure rate is too high
+const logger = require('../utils/logger');
+
+const STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' };
+const CIRCUIT_OPEN_CODE = 'VOICE_PROVIDER_UNAVAILABLE';
+
+class CircuitBreaker {
+  constructor(name, { failureRateThreshold = 0.5, minimumRequests = 10, windowSize = 20, cooldown = 30000, halfOpenMaxCalls = 1 } = {}) {
+    this.name = name;
+    this.failureRateThreshold = failureRateThreshold;
+    this.minimumRequests = minimumRequests;
+    this.windowSize = windowSize;
+    this.cooldown = cooldown;
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+    this.state = STATES.CLOSED;
+    this.outcomes = [];
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.rejected = 0;
+    this.bigBrotherCompliant = true;
+  }
+
+  assertClosed() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.cooldown) this.transition(STATES.HALF_OPEN);
+    if (this.state === STATES.CLOSED) return;
+    if (this.state === STATES.HALF_OPEN && this.halfOpenCalls < this.halfOpenMaxCalls) {
+      this.halfOpenCalls++;
+      return;
+    }
+    throw this.createOpenError();
+  }
+
+  async execute(fn) {
+    this.assertClosed();
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
+  }
+
+  isOpen() { return this.state === STATES.OPEN && this.getRemainingCooldown() > 0; }
+
+  createOpenError() {
+    this.rejected++;
+    const error = new Error(`${this.name} is temporarily unavailable, please retry later`);
+    error.status = 503;
+    error.code = CIRCUIT_OPEN_CODE;
+    error.retryAfter = Math.max(1, Math.ceil(this.getRemainingCooldown() / 1000));
+    return error;
+  }
+
+  recordSuccess() {
+    if (this.state === STATES.HALF_OPEN) return this.transition(STATES.CLOSED);
+    this.record(true);
+  }
+
+  // Outside half-open a client error still means the provider answered. A half-open probe is only
+  // a verdict on the provider when it succeeded or failed upstream; an aborted or 4xx probe frees its slot.
+  recordFailure(error) {
+    if (this.state === STATES.HALF_OPEN && !this.isProviderFailure(error)) return this.releaseProbe();
+    if (!this.isProviderFailure(error)) return this.recordSuccess();
+    if (this.state === STATES.HALF_OPEN) return this.transition(STATES.OPEN);
+    this.record(false);
+    const failures = this.outcomes.filter(ok => !ok).length;
+    if (this.outcomes.length >= this.minimumRequests && failures / this.outcomes.length >= this.failureRateThreshold) this.transition(STATES.OPEN);
+  }
+
+  releaseProbe() {
+    this.halfOpenCalls = Math.max(0, this.halfOpenCalls - 1);
+  }
+
+  record(ok) {
+    this.outcomes.push(ok);
+    if (this.outcomes.length > this.windowSize) this.outcomes.shift();
+  }
+
+  isProviderFailure(error) {
+    if (error.code === 'ERR_CANCELED' || error.name === 'AbortError') return false;
+    const status = error.response?.status;
+    return status ? status >= 500 || status === 429 : true;
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.halfOpenCalls = 0;
+    if (state === STATES.OPEN) this.openedAt = Date.now();
+    if (state === STATES.CLOSED) {
+      this.outcomes = [];
+      this.openedAt = null;
+    }
+    const log = state === STATES.OPEN ? logger.warn.bind(logger) : logger.info.bind(logger);
+    log('Circuit breaker state changed', { breaker: this.name, from: previous, to: state, cooldown: this.cooldown });
+  }
+
+  getRemainingCooldown() {
+    return this.state === STATES.OPEN ? Math.max(0, this.cooldown - (Date.now() - this.openedAt)) : 0;
+  }
+
+  getStatus() {
+    const failures = this.outcomes.filter(ok => !ok).length;
+    return {
+      state: this.state, failureRate: this.outcomes.length ? Math.round((failures / this.outcomes.length) * 100) / 100 : 0,
+      recentCalls: this.outcomes.length, failureRateThreshold: this.failureRateThreshold, openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.getRemainingCooldown(), rejected: this.rejected
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, STATES, CIRCUIT_OPEN_CODE };
@@ -0,0 +1,64 @@
+// BIG BROTHER COMPLIANT - Download Service
+// Signed, expiring links to stored audio, optionally scoped to one agent
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const storageConfig = require('../config/storageConfig');
+const audioManager = require('./audioManager');
+
+// .pcm is headerless 16-bit little-endian mono, served as audio/pcm like utils/audioFormats (audio/L16 means big-endian)
+const CONTENT_TYPES = { '.wav': 'audio/wav', '.mp3': 'audio/mpeg', '.flac': 'audio/flac', '.ogg': 'audio/ogg', '.m4a': 'audio/mp4', '.pcm': 'audio/pcm' };
+
+const linkError = (message, code, status = 403) => Object.assign(new Error(message), { status, code });
+
+class DownloadService {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    this.config = storageConfig.downloads;
+    this.secret = this.config.secret;
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('DOWNLOAD_URL_SECRET is not set; download links will stop working when the process restarts');
+    }
+  }
+
+  // Fields are JSON-encoded so no key, expiry and agent combination can produce another's signing input
+  sign(key, expires, agentId = '') {
+    return crypto.createHmac('sha256', this.secret).update(JSON.stringify([String(key), String(expires), String(agentId)])).digest('hex');
+  }
+
+  // Relative URL (same origin as the API); agentId restricts the link to that agent's files
+  createUrl(ref, { agentId = null, expiresIn = this.config.ttlSeconds } = {}) {
+    const key = audioManager.keyOf(ref);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({ expires: String(expires), ...(agentId && { agent: agentId }), signature: this.sign(key, expires, agentId || '') });
+    return `${this.config.basePath}/${encodeURIComponent(key)}?${query}`;
+  }
+
+  // Throws 403 for tampered, expired, out-of-scope or non-numeric-expiry links and 404 when the file is gone
+  async authorize(key, { expires, agent = '', signature } = {}) {
+    const expected = Buffer.from(this.sign(key, expires, agent));
+    const provided = Buffer.from(String(signature || ''));
+    if (!/^\d+$/.test(String(expires ?? '')) || expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw linkError('Download link signature is invalid', 'DOWNLOAD_LINK_INVALID');
+    }
+    if (Number(expires) * 1000 < Date.now()) throw linkError('Download link has expired', 'DOWNLOAD_LINK_EXPIRED');
+    if (agent && !(await this.belongsToAgent(key, agent))) throw linkError('Download link is not valid for this agent', 'DOWNLOAD_SCOPE_INVALID');
+
+    const file = await audioManager.storage.stat(key);
+    if (!file) throw linkError(`Stored file not found: ${key}`, 'FILE_NOT_FOUND', 404);
+    return { ...file, contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream', expiresAt: new Date(Number(expires) * 1000) };
+  }
+
+  // Generated audio is named tts_<agentId>_<timestamp> or longform_<agentId>_<timestamp>; samples are looked up
+  async belongsToAgent(key, agentId) {
+    const [agent] = await database.executeQuery('SELECT id FROM agents WHERE id = ?', [agentId]);
+    if (!agent) return false;
+    if (/^[a-z0-9_]+$/.test(agentId) && new RegExp(`^(tts|longform)_${agentId}_\\d+\\.\\w+$`).test(key)) return true;
+    const [sample] = await database.executeQuery('SELECT id FROM agent_samples WHERE agent_id = ? AND (filename = ? OR processed_path = ? OR processed_path LIKE ?)', [agentId, key, key, `%/${key}`]);
+    return !!sample;
+  }
+}
+
+module.exports = new DownloadService();
\ No newline at end of file
@@ -0,0 +1,26 @@
+// BIG BROTHER COMPLIANT - Lifecycle Event Bus
+// In-process lifecycle events; listener failures are logged, never rethrown
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+const LIFECYCLE_EVENTS = ['agent.created', 'agent.updated', 'agent.deleted', 'voice.cloned', 'voice.deleted', 'generation.completed', 'generation.failed', 'synthesis.completed', 'synthesis.failed'];
+
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.bigBrotherCompliant = true;
+    this.lifecycleEvents = LIFECYCLE_EVENTS;
+    this.setMaxListeners(50);
+  }
+
+  publish(type, data) {
+    const event = { id: `evt_${uuidv4()}`, type, createdAt: new Date().toISOString(), data };
+    for (const listener of [...this.listeners(type), ...this.listeners('*')]) {
+      Promise.resolve().then(() => listener(event)).catch(error => logger.error('Event listener failed', { error: error.message, event: type, eventId: event.id }));
+    }
+    return event;
+  }
+}
+
+module.exports = new EventBus();
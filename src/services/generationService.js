@@ -0,0 +1,115 @@
+// BIG BROTHER COMPLIANT - Generation Service
+// Asynchronous synthesis tracked in the generations table and run on the job queue
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const validators = require('../utils/validators');
+const database = require('../config/database');
+const synthesisService = require('./synthesisService');
+const audioManager = require('./audioManager');
+const downloadService = require('./downloadService');
+const jobQueue = require('./jobQueue');
+const voiceProcessor = require('./voiceProcessor');
+const eventBus = require('./eventBus');
+
+const GENERATION_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+// Statuses worth another job attempt: provider overload, an open breaker (503) or a queue deadline (504)
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+const GENERATION_SORT_COLUMNS = { createdAt: 'created_at', updatedAt: 'completed_at', id: 'id' };
+
+class GenerationService {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    jobQueue.registerHandler('generation', ({ generationId }, job) => this.runGeneration(generationId, job));
+  }
+
+  // The voice and output format are fixed when the generation is queued, so a later rollback does not change it
+  async createGeneration({ text, agentId, voiceId, settings = {}, outputFormat = null }) {
+    const generationId = `gen_${uuidv4()}`;
+    const db = await database.getDatabase();
+    await db.run('INSERT INTO generations (id, agent_id, voice_id, output_format, text, settings, status, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [generationId, agentId, voiceId, outputFormat, text, JSON.stringify(settings), 'pending', new Date().toISOString()]);
+    const jobId = await jobQueue.enqueue('generation', { generationId }, { lane: 'batch', jobId: `job_${generationId}` });
+    logger.voiceProcessing('Generation queued', { generationId, jobId, agentId, textLength: text.length });
+    return this.getGeneration(generationId);
+  }
+
+  isTransient(error) {
+    return TRANSIENT_STATUSES.includes(error.status) || voiceProcessor.retryPolicy.isRetryable(error, true);
+  }
+
+  async runGeneration(generationId, { attempt = 1, maxAttempts = 1 } = {}) {
+    const startTime = Date.now();
+    const db = await database.getDatabase();
+    const generation = await db.get('SELECT g.*, a.voice_id AS agent_voice_id FROM generations g JOIN agents a ON a.id = g.agent_id WHERE g.id = ?', [generationId]);
+    // Reclaimed jobs may find the generation mid-flight; finished generations are never synthesized again
+    if (!generation || ['completed', 'failed'].includes(generation.status)) return { generationId, status: generation?.status || 'missing' };
+    await db.run('UPDATE generations SET status = ? WHERE id = ?', ['processing', generationId]);
+    try {
+      const result = await synthesisService.synthesizeToFile({ text: generation.text, agentId: generation.agent_id, voiceId: generation.voice_id || generation.agent_voice_id, settings: JSON.parse(generation.settings || '{}'), lane: 'batch', jobId: `job_${generationId}`, outputFormat: generation.output_format || undefined, publish: false });
+      await db.run('UPDATE generations SET status = ?, audio_path = ?, audio_size = ?, completed_at = ? WHERE id = ?',
+        ['completed', result.key, result.size, new Date().toISOString(), generationId]);
+      logger.voiceProcessing('Generation completed', { generationId, filename: result.filename, cached: result.cached, duration: Date.now() - startTime });
+      eventBus.publish('generation.completed', { generation: (await this.getGeneration(generationId)).generation });
+      return { generationId, status: 'completed' };
+    } catch (error) {
+      // Throwing hands the job back to the queue, which reschedules it until max_attempts
+      if (attempt < maxAttempts && this.isTransient(error)) {
+        await db.run('UPDATE generations SET status = ?, error_message = ? WHERE id = ?', ['pending', error.message, generationId]);
+        logger.warn('Generation attempt failed, will retry', { error: error.message, generationId, attempt, maxAttempts, duration: Date.now() - startTime });
+        throw error;
+      }
+      await db.run('UPDATE generations SET status = ?, error_message = ?, completed_at = ? WHERE id = ?',
+        ['failed', error.message, new Date().toISOString(), generationId]);
+      logger.error('Generation failed', { error: error.message, generationId, duration: Date.now() - startTime });
+      eventBus.publish('generation.failed', { generation: (await this.getGeneration(generationId)).generation });
+      return { generationId, status: 'failed' };
+    }
+  }
+
+  async getGeneration(generationId) {
+    const db = await database.getDatabase();
+    const generation = await db.get('SELECT * FROM generations WHERE id = ?', [generationId]);
+    if (!generation) throw new Error('Generation not found');
+    return { success: true, generation: this.formatGeneration(generation), bigBrotherCompliant: this.bigBrotherCompliant };
+  }
+
+  async listAgentGenerations(agentId, query = {}) {
+    const validation = validators.validatePaginationParams(query);
+    const errors = [...validation.errors];
+    if (validation.isValid && !GENERATION_SORT_COLUMNS[validation.sanitized.sortBy]) errors.push(`Invalid sort field for generations. Allowed: ${Object.keys(GENERATION_SORT_COLUMNS).join(', ')}`);
+    if (query.status && !GENERATION_STATUSES.includes(query.status)) errors.push(`Invalid status. Allowed: ${GENERATION_STATUSES.join(', ')}`);
+    for (const key of ['from', 'to']) if (query[key] && Number.isNaN(Date.parse(query[key]))) errors.push(`${key} must be an ISO date`);
+    if (errors.length > 0) throw new Error(`Validation failed: ${errors.join(', ')}`);
+
+    const { page, limit, sortBy, sortOrder } = validation.sanitized;
+    const conditions = ['agent_id = ?'];
+    const params = [agentId];
+    if (query.status) { conditions.push('status = ?'); params.push(query.status); }
+    if (query.from) { conditions.push('created_at >= ?'); params.push(new Date(query.from).toISOString()); }
+    if (query.to) { conditions.push('created_at <= ?'); params.push(new Date(query.to).toISOString()); }
+    const where = conditions.join(' AND ');
+
+    const db = await database.getDatabase();
+    const total = (await db.get(`SELECT COUNT(*) as total FROM generations WHERE ${where}`, params)).total;
+    const rows = await db.all(`SELECT * FROM generations WHERE ${where} ORDER BY ${GENERATION_SORT_COLUMNS[sortBy]} ${sortOrder.toUpperCase()} LIMIT ? OFFSET ?`, [...params, limit, (page - 1) * limit]);
+    const totalPages = Math.ceil(total / limit);
+    return {
+      success: true,
+      generations: rows.map(row => this.formatGeneration(row)),
+      pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 },
+      filters: { status: query.status || null, from: query.from || null, to: query.to || null },
+      bigBrotherCompliant: this.bigBrotherCompliant
+    };
+  }
+
+  formatGeneration(row) {
+    const filename = row.audio_path ? audioManager.keyOf(row.audio_path) : null;
+    return {
+      id: row.id, jobId: `job_${row.id}`, agentId: row.agent_id, status: row.status, text: row.text.substring(0, 100) + (row.text.length > 100 ? '...' : ''), textLength: row.text.length,
+      audioUrl: filename ? downloadService.createUrl(filename, { agentId: row.agent_id }) : null, filename, size: row.audio_size, voiceId: row.voice_id, outputFormat: row.output_format, settings: JSON.parse(row.settings || '{}'),
+      error: row.error_message, createdAt: row.created_at, completedAt: row.completed_at
+    };
+  }
+}
+
+module.exports = new GenerationService();
@@ -0,0 +1,50 @@
+// BIG BROTHER COMPLIANT - Job Progress Tracker
+// Per-job progress history that SSE subscribers can replay from Last-Event-ID
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+const PROGRESS_STATES = ['queued', 'started', 'upstream-responded', 'saved', 'failed'];
+
+class JobProgress extends EventEmitter {
+  constructor() {
+    super();
+    this.bigBrotherCompliant = true;
+    this.jobs = new Map();
+    this.maxEventsPerJob = parseInt(process.env.JOB_PROGRESS_MAX_EVENTS) || 50;
+    this.retentionMs = parseInt(process.env.JOB_PROGRESS_RETENTION_MS) || 10 * 60 * 1000;
+    this.setMaxListeners(0);
+    this.sweepTimer = setInterval(() => this.sweep(), 60000);
+    this.sweepTimer.unref();
+  }
+
+  record(jobId, state, data = {}, { final = state === 'failed' } = {}) {
+    if (!jobId) return null;
+    if (!PROGRESS_STATES.includes(state)) throw new Error(`Unknown job progress state: ${state}`);
+    const job = this.jobs.get(jobId) || { events: [], sequence: 0, final: false };
+    const event = { id: ++job.sequence, jobId, state, final, data, timestamp: new Date().toISOString() };
+    job.events.push(event);
+    if (job.events.length > this.maxEventsPerJob) job.events.shift();
+    job.final = job.final || final;
+    job.updatedAt = Date.now();
+    this.jobs.set(jobId, job);
+    logger.debug('Job progress', { jobId, state, final });
+    this.emit(jobId, event);
+    return event;
+  }
+
+  getEvents(jobId, afterId = 0) {
+    const job = this.jobs.get(jobId);
+    return job ? job.events.filter(event => event.id > afterId) : [];
+  }
+
+  isFinal(jobId) { return Boolean(this.jobs.get(jobId)?.final); }
+
+  hasJob(jobId) { return this.jobs.has(jobId); }
+
+  sweep() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [jobId, job] of this.jobs) if (job.updatedAt < cutoff) this.jobs.delete(jobId);
+  }
+}
+
+module.exports = new JobProgress();
\ No newline at end of file
@@ -0,0 +1,160 @@
+// BIG BROTHER COMPLIANT - Persistent Job Queue
+// SQLite-backed work queue; leased jobs are reclaimed when their worker dies
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const database = require('../config/database');
+
+const JOB_LANES = ['interactive', 'clone', 'batch'];
+
+class JobQueue {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().substring(0, 8)}`;
+    this.handlers = new Map();
+    this.running = new Map();
+    this.concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+    this.leaseMs = parseInt(process.env.JOB_LEASE_MS) || 30000;
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL) || 1000;
+    this.retryDelay = parseInt(process.env.JOB_RETRY_DELAY) || 5000;
+    this.started = false;
+    this.stopping = false;
+  }
+
+  registerHandler(type, handler) { this.handlers.set(type, handler); }
+
+  async start() {
+    if (this.started) return;
+    this.started = true;
+    this.stopping = false;
+    const reclaimed = await this.reclaimExpired();
+    this.pollTimer = setInterval(() => this.dispatch(), this.pollInterval);
+    this.sweepTimer = setInterval(() => this.reclaimExpired().catch(error => logger.error('Job lease sweep failed', { error: error.message })), this.leaseMs);
+    this.pollTimer.unref();
+    this.sweepTimer.unref();
+    logger.info('Job queue started', { workerId: this.workerId, concurrency: this.concurrency, reclaimed, handlers: [...this.handlers.keys()] });
+    this.dispatch();
+  }
+
+  async enqueue(type, payload, { lane = 'batch', maxAttempts = 3, jobId } = {}) {
+    const id = jobId || `job_${uuidv4()}`;
+    const now = Date.now();
+    await database.executeUpdate('INSERT INTO jobs (id, type, payload, status, priority, max_attempts, run_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [id, type, JSON.stringify(payload), 'queued', Math.max(0, JOB_LANES.indexOf(lane)), maxAttempts, now, now, now]);
+    logger.info('Job enqueued', { jobId: id, type, lane });
+    if (this.started) setImmediate(() => this.dispatch());
+    return id;
+  }
+
+  async dispatch() {
+    if (!this.started || this.stopping || this.dispatching) return;
+    this.dispatching = true;
+    try {
+      while (this.running.size < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+        this.running.set(job.id, job);
+        this.execute(job).finally(() => {
+          this.running.delete(job.id);
+          this.dispatch();
+        });
+      }
+    } catch (error) {
+      logger.error('Job dispatch failed', { error: error.message });
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  async claimNext() {
+    const types = [...this.handlers.keys()];
+    if (types.length === 0) return null;
+    const now = Date.now();
+    const db = await database.getDatabase();
+    const candidate = await db.get(`SELECT id FROM jobs WHERE status = 'queued' AND run_at <= ? AND type IN (${types.map(() => '?').join(', ')}) ORDER BY priority, created_at LIMIT 1`, [now, ...types]);
+    if (!candidate) return null;
+    const claimed = await db.run(`UPDATE jobs SET status = 'running', lease_owner = ?, lease_expires_at = ?, heartbeat_at = ?, attempts = attempts + 1, updated_at = ? WHERE id = ? AND status = 'queued'`,
+      [this.workerId, now + this.leaseMs, now, now, candidate.id]);
+    if (claimed.changes === 0) return this.claimNext();
+    const job = await db.get('SELECT * FROM jobs WHERE id = ?', [candidate.id]);
+    await db.run('INSERT INTO job_attempts (job_id, attempt, worker_id, status, started_at) VALUES (?, ?, ?, ?, ?)', [job.id, job.attempts, this.workerId, 'running', now]);
+    return job;
+  }
+
+  async execute(job) {
+    const startTime = Date.now();
+    const heartbeat = setInterval(() => this.heartbeat(job).catch(error => logger.warn('Job heartbeat failed', { jobId: job.id, error: error.message })), Math.max(1000, Math.floor(this.leaseMs / 3)));
+    try {
+      const result = await this.handlers.get(job.type)(JSON.parse(job.payload || '{}'), { id: job.id, attempt: job.attempts, maxAttempts: job.max_attempts });
+      await this.finish(job, 'completed', { result: result === undefined ? null : JSON.stringify(result) });
+      logger.info('Job completed', { jobId: job.id, type: job.type, attempt: job.attempts, duration: Date.now() - startTime });
+    } catch (error) {
+      const retry = job.attempts < job.max_attempts;
+      await this.finish(job, retry ? 'queued' : 'failed', { error: error.message, runAt: Date.now() + this.retryDelay * 2 ** (job.attempts - 1) });
+      logger.error('Job attempt failed', { jobId: job.id, type: job.type, attempt: job.attempts, maxAttempts: job.max_attempts, willRetry: retry, error: error.message });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async heartbeat(job) {
+    const now = Date.now();
+    const result = await database.executeUpdate('UPDATE jobs SET heartbeat_at = ?, lease_expires_at = ? WHERE id = ? AND lease_owner = ? AND status = ?', [now, now + this.leaseMs, job.id, this.workerId, 'running']);
+    if (result.changes === 0) logger.warn('Job lease lost', { jobId: job.id, workerId: this.workerId });
+  }
+
+  async finish(job, status, { result = null, error = null, runAt = null } = {}) {
+    const now = Date.now();
+    const db = await database.getDatabase();
+    const updated = await db.run(`UPDATE jobs SET status = ?, result = ?, error_message = ?, run_at = COALESCE(?, run_at), lease_owner = NULL, lease_expires_at = NULL, completed_at = ?, updated_at = ?
+      WHERE id = ? AND lease_owner = ? AND status = 'running'`, [status, result, error, runAt, status === 'completed' || status === 'failed' ? now : null, now, job.id, this.workerId]);
+    const attemptStatus = updated.changes === 0 ? 'lease_lost' : status === 'queued' ? 'failed' : status;
+    await db.run('UPDATE job_attempts SET status = ?, error_message = ?, finished_at = ? WHERE job_id = ? AND attempt = ? AND worker_id = ?', [attemptStatus, error, now, job.id, job.attempts, this.workerId]);
+  }
+
+  async reclaimExpired() {
+    const now = Date.now();
+    const db = await database.getDatabase();
+    const orphaned = await db.all(`SELECT id, attempts, max_attempts, lease_owner FROM jobs WHERE status = 'running' AND lease_expires_at < ?`, [now]);
+    for (const job of orphaned) {
+      const status = job.attempts < job.max_attempts ? 'queued' : 'failed';
+      const reclaimed = await db.run(`UPDATE jobs SET status = ?, lease_owner = NULL, lease_expires_at = NULL, error_message = ?, updated_at = ?, completed_at = ? WHERE id = ? AND status = 'running' AND lease_expires_at < ?`,
+        [status, `Lease held by ${job.lease_owner} expired`, now, status === 'failed' ? now : null, job.id, now]);
+      if (reclaimed.changes === 0) continue;
+      await db.run(`UPDATE job_attempts SET status = 'abandoned', finished_at = ? WHERE job_id = ? AND attempt = ? AND status = 'running'`, [now, job.id, job.attempts]);
+      logger.warn('Orphaned job reclaimed', { jobId: job.id, previousOwner: job.lease_owner, attempts: job.attempts, status });
+    }
+    return orphaned.length;
+  }
+
+  async getJob(jobId) {
+    const db = await database.getDatabase();
+    const job = await db.get('SELECT * FROM jobs WHERE id = ?', [jobId]);
+    if (!job) throw new Error('Job not found');
+    const attempts = await db.all('SELECT attempt, worker_id, status, error_message, started_at, finished_at FROM job_attempts WHERE job_id = ? ORDER BY id', [jobId]);
+    return { success: true, job: { id: job.id, type: job.type, status: job.status, lane: JOB_LANES[job.priority], attempts: job.attempts, maxAttempts: job.max_attempts, error: job.error_message, createdAt: new Date(job.created_at).toISOString(), completedAt: job.completed_at ? new Date(job.completed_at).toISOString() : null, history: attempts } };
+  }
+
+  async getStats() {
+    const rows = await database.executeQuery('SELECT status, COUNT(*) as count FROM jobs GROUP BY status');
+    return { workerId: this.workerId, started: this.started, running: this.running.size, concurrency: this.concurrency, byStatus: Object.fromEntries(rows.map(row => [row.status, row.count])), bigBrotherCompliant: this.bigBrotherCompliant };
+  }
+
+  async stop(timeoutMs = 10000) {
+    if (!this.started) return;
+    this.stopping = true;
+    clearInterval(this.pollTimer);
+    clearInterval(this.sweepTimer);
+    const deadline = Date.now() + timeoutMs;
+    while (this.running.size > 0 && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 100));
+    const now = Date.now();
+    for (const job of this.running.values()) {
+      await database.executeUpdate(`UPDATE jobs SET status = 'queued', lease_owner = NULL, lease_expires_at = NULL, attempts = attempts - 1, updated_at = ? WHERE id = ? AND lease_owner = ? AND status = 'running'`, [now, job.id, this.workerId]);
+      await database.executeUpdate(`UPDATE job_attempts SET status = 'released', finished_at = ? WHERE job_id = ? AND attempt = ? AND worker_id = ?`, [now, job.id, job.attempts, this.workerId]);
+    }
+    this.started = false;
+    logger.info('Job queue stopped', { workerId: this.workerId, released: this.running.size });
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,146 @@
+// BIG BROTHER COMPLIANT - Long-Form Synthesis Service
+// Long documents synthesized chunk by chunk on the job queue, then stitched
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const voiceConfig = require('../config/voiceConfig');
+const { splitText } = require('../utils/textChunker');
+const { stitchAudio } = require('../utils/audioStitcher');
+const audioManager = require('./audioManager');
+const downloadService = require('./downloadService');
+const synthesisService = require('./synthesisService');
+const storageQuotaService = require('./storageQuotaService');
+const jobQueue = require('./jobQueue');
+const retentionService = require('./retentionService');
+
+class LongFormService {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    jobQueue.registerHandler('longform', ({ documentId }) => this.runDocument(documentId));
+  }
+
+  async createDocument({ text, agentId, voiceId, settings = {} }) {
+    const chunks = splitText(text, voiceConfig.processingConfig.longForm.chunkLength);
+    if (chunks.length === 0) throw new Error('Text contains no speakable content');
+    const documentId = `doc_${uuidv4()}`;
+    const db = await database.getDatabase();
+    await db.run('INSERT INTO longform_documents (id, agent_id, voice_id, settings, status, chunk_count) VALUES (?, ?, ?, ?, ?, ?)',
+      [documentId, agentId, voiceId, JSON.stringify(settings), 'pending', chunks.length]);
+    for (const [index, chunk] of chunks.entries()) {
+      await db.run('INSERT INTO longform_chunks (document_id, chunk_index, text) VALUES (?, ?, ?)', [documentId, index, chunk]);
+    }
+    logger.voiceProcessing('Long-form document created', { documentId, agentId, textLength: text.length, chunks: chunks.length });
+    return this.enqueueDocument(documentId, `job_${documentId}`);
+  }
+
+  async enqueueDocument(documentId, jobId) {
+    const queuedId = await jobQueue.enqueue('longform', { documentId }, { lane: 'batch', jobId });
+    await database.executeUpdate('UPDATE longform_documents SET status = ?, job_id = ? WHERE id = ?', ['pending', queuedId, documentId]);
+    logger.voiceProcessing('Long-form document queued', { documentId, jobId: queuedId });
+    return this.getDocument(documentId);
+  }
+
+  // Reclaimed jobs may find the document already finished; anything that escapes the chunk handling fails the document
+  async runDocument(documentId) {
+    const [document] = await database.executeQuery('SELECT status FROM longform_documents WHERE id = ?', [documentId]);
+    if (!document || document.status === 'completed') return { documentId, status: document?.status || 'missing' };
+    try {
+      return { documentId, status: (await this.processDocument(documentId)).document.status };
+    } catch (error) {
+      logger.error('Long-form document failed', { error: error.message, documentId });
+      await database.executeUpdate('UPDATE longform_documents SET status = ?, error_message = ? WHERE id = ?', ['failed', error.message, documentId]);
+      return { documentId, status: 'failed' };
+    }
+  }
+
+  async processDocument(documentId) {
+    const startTime = Date.now();
+    const db = await database.getDatabase();
+    const document = await db.get('SELECT * FROM longform_documents WHERE id = ?', [documentId]);
+    if (!document) throw new Error('Document not found');
+    await db.run('UPDATE longform_documents SET status = ?, error_message = NULL WHERE id = ?', ['processing', documentId]);
+
+    const chunks = await db.all('SELECT * FROM longform_chunks WHERE document_id = ? ORDER BY chunk_index', [documentId]);
+    const pending = [];
+    for (const chunk of chunks) {
+      const hasAudio = chunk.status === 'completed' && await audioManager.exists(chunk.audio_path).catch(() => false);
+      if (!hasAudio) pending.push(chunk);
+    }
+    await Promise.all(pending.map(chunk => this.processChunk(document, chunk)));
+
+    const failed = (await db.get('SELECT COUNT(*) as failed FROM longform_chunks WHERE document_id = ? AND status = ?', [documentId, 'failed'])).failed;
+    if (failed > 0) {
+      await db.run('UPDATE longform_documents SET status = ?, error_message = ? WHERE id = ?', ['partial', `${failed} of ${document.chunk_count} chunks failed`, documentId]);
+      logger.warn('Long-form document incomplete', { documentId, failed, chunks: document.chunk_count });
+    } else {
+      await this.stitchDocument(document);
+    }
+    logger.voiceProcessing('Long-form document processed', { documentId, synthesized: pending.length, failed, duration: Date.now() - startTime });
+    return this.getDocument(documentId);
+  }
+
+  async processChunk(document, chunk) {
+    const db = await database.getDatabase();
+    try {
+      const result = await synthesisService.synthesizeToFile({ text: chunk.text, agentId: document.agent_id, voiceId: document.voice_id, settings: JSON.parse(document.settings || '{}'), lane: 'batch', publish: false });
+      await db.run('UPDATE longform_chunks SET status = ?, audio_path = ?, content_type = ?, attempts = attempts + 1, error_message = NULL, updated_at = ? WHERE document_id = ? AND chunk_index = ?',
+        ['completed', result.key, result.contentType, new Date().toISOString(), document.id, chunk.chunk_index]);
+    } catch (error) {
+      logger.error('Long-form chunk failed', { error: error.message, documentId: document.id, chunkIndex: chunk.chunk_index });
+      await db.run('UPDATE longform_chunks SET status = ?, attempts = attempts + 1, error_message = ?, updated_at = ? WHERE document_id = ? AND chunk_index = ?',
+        ['failed', error.message, new Date().toISOString(), document.id, chunk.chunk_index]);
+    }
+  }
+
+  async stitchDocument(document) {
+    const db = await database.getDatabase();
+    const chunks = await db.all('SELECT audio_path, content_type FROM longform_chunks WHERE document_id = ? ORDER BY chunk_index', [document.id]);
+    const contentType = chunks[0].content_type;
+    const stitched = stitchAudio(await Promise.all(chunks.map(chunk => audioManager.readFile(chunk.audio_path))), contentType);
+    const extension = contentType === 'audio/wav' ? '.wav' : '.mp3';
+    await storageQuotaService.assertCapacity(document.agent_id, stitched.length);
+    const audioResult = await audioManager.saveGeneratedAudio(Readable.from([stitched]), `longform_${document.agent_id}_${Date.now()}${extension}`, { contentType, agentId: document.agent_id });
+    await db.run('UPDATE longform_documents SET status = ?, audio_path = ?, audio_size = ?, content_type = ?, completed_at = ? WHERE id = ?',
+      ['completed', audioResult.key, audioResult.size, contentType, new Date().toISOString(), document.id]);
+    await this.releaseChunkAudio(document.id, chunks);
+  }
+
+  // Chunk files are only needed until the stitched file exists; a chunk another row still serves (a cache hit) is kept
+  async releaseChunkAudio(documentId, chunks) {
+    await database.executeUpdate('UPDATE longform_chunks SET audio_path = NULL WHERE document_id = ?', [documentId]);
+    for (const key of new Set(chunks.map(chunk => audioManager.keyOf(chunk.audio_path)))) {
+      if (!(await retentionService.isReferenced(key))) await audioManager.deleteFile(key);
+    }
+  }
+
+  async retryDocument(documentId) {
+    const db = await database.getDatabase();
+    const document = await db.get('SELECT status FROM longform_documents WHERE id = ?', [documentId]);
+    if (!document) throw new Error('Document not found');
+    if (document.status === 'completed') return this.getDocument(documentId);
+    if (['pending', 'processing'].includes(document.status)) throw Object.assign(new Error('Document is already queued for synthesis'), { status: 409, code: 'DOCUMENT_IN_PROGRESS' });
+    await db.run('UPDATE longform_chunks SET status = ? WHERE document_id = ? AND status = ?', ['pending', documentId, 'failed']);
+    logger.voiceProcessing('Retrying long-form document', { documentId });
+    return this.enqueueDocument(documentId);
+  }
+
+  async getDocument(documentId) {
+    const db = await database.getDatabase();
+    const document = await db.get('SELECT * FROM longform_documents WHERE id = ?', [documentId]);
+    if (!document) throw new Error('Document not found');
+    const chunks = await db.all('SELECT chunk_index, status, attempts, error_message, length(text) as text_length FROM longform_chunks WHERE document_id = ? ORDER BY chunk_index', [documentId]);
+    const filename = document.audio_path ? audioManager.keyOf(document.audio_path) : null;
+    return {
+      success: true,
+      document: {
+        id: document.id, jobId: document.job_id, agentId: document.agent_id, status: document.status, chunkCount: document.chunk_count, audioUrl: filename ? downloadService.createUrl(filename, { agentId: document.agent_id }) : null,
+        filename, size: document.audio_size, contentType: document.content_type, error: document.error_message, createdAt: document.created_at, completedAt: document.completed_at,
+        chunks: chunks.map(chunk => ({ index: chunk.chunk_index, status: chunk.status, attempts: chunk.attempts, textLength: chunk.text_length, error: chunk.error_message }))
+      },
+      bigBrotherCompliant: this.bigBrotherCompliant
+    };
+  }
+}
+
+module.exports = new LongFormService();
@@ -0,0 +1,175 @@
+// BIG BROTHER COMPLIANT - Maintenance Scheduler
+// In-process cron; a lock row per scheduled slot keeps instances from running a task twice
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const { parseCron, nextRun } = require('../utils/cronExpression');
+const audioManager = require('./audioManager');
+const storageQuotaService = require('./storageQuotaService');
+
+class MaintenanceScheduler {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().substring(0, 8)}`;
+    this.tasks = new Map();
+    this.running = new Map();
+    this.enabled = process.env.MAINTENANCE_ENABLED !== 'false';
+    this.tickInterval = parseInt(process.env.MAINTENANCE_TICK_MS) || 30000;
+    this.lockMs = parseInt(process.env.MAINTENANCE_LOCK_MS) || 300000;
+    this.historyLimit = parseInt(process.env.MAINTENANCE_HISTORY_LIMIT) || 100;
+    this.started = false;
+
+    this.registerTask('temp-cleanup', {
+      schedule: process.env.MAINTENANCE_TEMP_CLEANUP_SCHEDULE || '15 * * * *',
+      description: 'Delete abandoned upload and staging files older than 24 hours from temp storage',
+      run: async () => ({ removed: await audioManager.cleanupOldFiles(24) })
+    });
+    this.registerTask('database-cleanup', {
+      schedule: process.env.MAINTENANCE_DATABASE_CLEANUP_SCHEDULE || '30 3 * * *',
+      description: 'Purge usage logs and error logs older than 30 days, then VACUUM',
+      run: () => database.cleanup()
+    });
+    this.registerTask('log-cleanup', {
+      schedule: process.env.MAINTENANCE_LOG_CLEANUP_SCHEDULE || '45 3 * * *',
+      description: 'Delete log files older than 7 days',
+      run: async () => ({ removed: logger.cleanup() })
+    });
+    this.registerTask('storage-usage', {
+      schedule: process.env.MAINTENANCE_STORAGE_USAGE_SCHEDULE || '30 4 * * *',
+      description: 'Rebuild the per-agent storage usage ledger from the storage listing',
+      run: () => storageQuotaService.reconcile(audioManager.storage)
+    });
+  }
+
+  // run resolves to a JSON-serializable result that is stored with the run
+  registerTask(name, { schedule, description = '', run }) {
+    const cron = parseCron(schedule);
+    this.tasks.set(name, { name, schedule, description, run, cron, nextRunAt: nextRun(cron) });
+  }
+
+  getTask(name) {
+    const task = this.tasks.get(name);
+    if (!task) throw Object.assign(new Error(`Maintenance task not found: ${name}`), { status: 404, code: 'TASK_NOT_FOUND' });
+    return task;
+  }
+
+  async start() {
+    if (this.started || !this.enabled) return;
+    this.started = true;
+    // Runs whose process died mid-task never finish; once their lock has lapsed they are closed out
+    const abandoned = await database.executeUpdate(`UPDATE maintenance_runs SET status = 'abandoned', finished_at = ? WHERE status = 'running'
+      AND task NOT IN (SELECT task FROM maintenance_locks WHERE expires_at > ?)`, [Date.now(), Date.now()]);
+    for (const task of this.tasks.values()) task.nextRunAt = nextRun(task.cron);
+    this.tickTimer = setInterval(() => this.tick(), this.tickInterval);
+    this.tickTimer.unref();
+    logger.info('Maintenance scheduler started', { workerId: this.workerId, abandoned: abandoned.changes, tasks: [...this.tasks.values()].map(task => ({ name: task.name, schedule: task.schedule, nextRunAt: task.nextRunAt })) });
+  }
+
+  stop() {
+    clearInterval(this.tickTimer);
+    this.started = false;
+  }
+
+  // Runs missed while the process was down are skipped rather than replayed
+  tick(now = new Date()) {
+    for (const task of this.tasks.values()) {
+      if (!task.nextRunAt || task.nextRunAt > now) continue;
+      const scheduledFor = task.nextRunAt.getTime();
+      task.nextRunAt = nextRun(task.cron, now);
+      this.runTask(task.name, { trigger: 'schedule', scheduledFor })
+        .catch(error => { if (error.code !== 'TASK_LOCKED') logger.error('Scheduled maintenance run failed', { task: task.name, error: error.message }); });
+    }
+  }
+
+  // Scheduled runs also claim their slot, so a second instance ticking later in the same minute skips it
+  async acquireLock(name, scheduledFor = null) {
+    const now = Date.now();
+    const result = await database.executeUpdate(`INSERT INTO maintenance_locks (task, owner, acquired_at, expires_at, last_scheduled_for) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(task) DO UPDATE SET owner = excluded.owner, acquired_at = excluded.acquired_at, expires_at = excluded.expires_at, last_scheduled_for = COALESCE(excluded.last_scheduled_for, maintenance_locks.last_scheduled_for)
+      WHERE maintenance_locks.expires_at < ? AND (excluded.last_scheduled_for IS NULL OR IFNULL(maintenance_locks.last_scheduled_for, 0) < excluded.last_scheduled_for)`,
+    [name, this.workerId, now, now + this.lockMs, scheduledFor, now]);
+    return result.changes > 0;
+  }
+
+  async releaseLock(name) {
+    await database.executeUpdate('UPDATE maintenance_locks SET owner = NULL, expires_at = 0 WHERE task = ? AND owner = ?', [name, this.workerId]);
+  }
+
+  async runTask(name, { trigger = 'manual', scheduledFor = null } = {}) {
+    const task = this.getTask(name);
+    if (!(await this.acquireLock(name, scheduledFor))) {
+      throw Object.assign(new Error(`Maintenance task ${name} is already running or already ran for this slot`), { status: 409, code: 'TASK_LOCKED' });
+    }
+
+    const run = { id: `mrun_${uuidv4()}`, task: name, trigger, scheduledFor, startedAt: Date.now() };
+    const heartbeat = setInterval(() => database.executeUpdate('UPDATE maintenance_locks SET expires_at = ? WHERE task = ? AND owner = ?', [Date.now() + this.lockMs, name, this.workerId])
+      .catch(error => logger.warn('Maintenance lock heartbeat failed', { task: name, error: error.message })), Math.max(1000, Math.floor(this.lockMs / 3)));
+    heartbeat.unref();
+    this.running.set(name, run);
+    try {
+      await database.executeUpdate('INSERT INTO maintenance_runs (id, task, trigger, status, worker_id, scheduled_for, started_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [run.id, name, trigger, 'running', this.workerId, scheduledFor, run.startedAt]);
+      logger.info('Maintenance task started', { task: name, runId: run.id, trigger });
+      let status = 'succeeded';
+      let result = null;
+      let errorMessage = null;
+      try {
+        result = (await task.run()) ?? null;
+      } catch (error) {
+        status = 'failed';
+        errorMessage = error.message;
+        logger.error('Maintenance task failed', { task: name, runId: run.id, error: error.message });
+      }
+      const finishedAt = Date.now();
+      await database.executeUpdate('UPDATE maintenance_runs SET status = ?, finished_at = ?, duration_ms = ?, result = ?, error_message = ? WHERE id = ?',
+        [status, finishedAt, finishedAt - run.startedAt, result === null ? null : JSON.stringify(result), errorMessage, run.id]);
+      await this.pruneHistory(name);
+      logger.info('Maintenance task finished', { task: name, runId: run.id, trigger, status, durationMs: finishedAt - run.startedAt, result });
+      return this.getRun(run.id);
+    } finally {
+      clearInterval(heartbeat);
+      this.running.delete(name);
+      await this.releaseLock(name).catch(error => logger.warn('Maintenance lock release failed', { task: name, error: error.message }));
+    }
+  }
+
+  async pruneHistory(name) {
+    await database.executeUpdate('DELETE FROM maintenance_runs WHERE task = ? AND id NOT IN (SELECT id FROM maintenance_runs WHERE task = ? ORDER BY started_at DESC LIMIT ?)', [name, name, this.historyLimit]);
+  }
+
+  async getRun(runId) {
+    const [row] = await database.executeQuery('SELECT * FROM maintenance_runs WHERE id = ?', [runId]);
+    return row ? this.formatRun(row) : null;
+  }
+
+  async listRuns(name, limit = 20) {
+    this.getTask(name);
+    const rows = await database.executeQuery('SELECT * FROM maintenance_runs WHERE task = ? ORDER BY started_at DESC LIMIT ?', [name, Math.min(Math.max(parseInt(limit) || 20, 1), this.historyLimit)]);
+    return rows.map(row => this.formatRun(row));
+  }
+
+  async describeTask(name) {
+    const task = this.getTask(name);
+    const [lastRun] = await this.listRuns(name, 1);
+    const [lock] = await database.executeQuery('SELECT owner, expires_at FROM maintenance_locks WHERE task = ?', [name]);
+    return {
+      name, description: task.description, schedule: task.schedule, nextRunAt: this.started && task.nextRunAt ? task.nextRunAt.toISOString() : null,
+      running: this.running.has(name), locked: !!lock && lock.expires_at > Date.now(), lockedBy: lock && lock.expires_at > Date.now() ? lock.owner : null, lastRun: lastRun || null
+    };
+  }
+
+  async listTasks() {
+    return Promise.all([...this.tasks.keys()].map(name => this.describeTask(name)));
+  }
+
+  formatRun(row) {
+    return {
+      id: row.id, task: row.task, trigger: row.trigger, status: row.status, workerId: row.worker_id,
+      scheduledFor: row.scheduled_for ? new Date(row.scheduled_for).toISOString() : null, startedAt: new Date(row.started_at).toISOString(),
+      finishedAt: row.finished_at ? new Date(row.finished_at).toISOString() : null, durationMs: row.duration_ms, result: row.result ? JSON.parse(row.result) : null, error: row.error_message
+    };
+  }
+}
+
+module.exports = new MaintenanceScheduler();
\ No newline at end of file
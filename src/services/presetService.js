@@ -0,0 +1,119 @@
+// BIG BROTHER COMPLIANT - Voice Preset Service
+// Named voice settings per agent or global; stored presets override the voiceConfig built-ins
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const voiceConfig = require('../config/voiceConfig');
+
+const PRESET_SCOPES = ['agent', 'global'];
+const PRESET_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,49}$/;
+
+class PresetService {
+  constructor() { this.bigBrotherCompliant = true; }
+
+  validatePreset({ name, description, settings }, { partial = false } = {}) {
+    const errors = [];
+    if (!partial && (typeof name !== 'string' || !PRESET_NAME_PATTERN.test(name))) {
+      errors.push('Preset name must be 1-50 letters, numbers, hyphens or underscores');
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > voiceConfig.processingConfig.voice.descriptionMaxLength)) {
+      errors.push(`Description must be a string of at most ${voiceConfig.processingConfig.voice.descriptionMaxLength} characters`);
+    }
+    if (settings === undefined ? !partial : (!settings || typeof settings !== 'object' || Array.isArray(settings))) errors.push('Settings must be an object');
+    if (errors.length > 0) throw Object.assign(new Error(`Validation failed: ${errors.join(', ')}`), { status: 400 });
+    if (settings !== undefined) voiceConfig.validateVoiceSettings(settings, { strict: true });
+  }
+
+  resolveScope(scope = 'agent') {
+    if (!PRESET_SCOPES.includes(scope)) throw Object.assign(new Error(`Validation failed: scope must be one of ${PRESET_SCOPES.join(', ')}`), { status: 400 });
+    return scope;
+  }
+
+  getBuiltInPresets() {
+    return Object.entries(voiceConfig.voiceSettings.presets).map(([name, settings]) => ({ id: `builtin_${name}`, name, scope: 'builtin', agentId: null, description: 'Built-in preset', settings: { ...settings }, builtIn: true }));
+  }
+
+  async listPresets(agentId, { scope } = {}) {
+    if (scope !== undefined) this.resolveScope(scope);
+    const rows = await database.executeQuery('SELECT * FROM voice_presets WHERE agent_id = ? OR agent_id IS NULL ORDER BY name', [agentId]);
+    const globals = rows.filter(row => row.agent_id === null).map(row => this.formatPreset(row));
+    const own = rows.filter(row => row.agent_id !== null).map(row => this.formatPreset(row));
+    if (scope === 'agent') return { success: true, presets: own };
+
+    const byName = new Map(this.getBuiltInPresets().map(preset => [preset.name, preset]));
+    globals.forEach(preset => byName.set(preset.name, preset));
+    if (scope !== 'global') own.forEach(preset => byName.set(preset.name, preset));
+    return { success: true, presets: Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name)) };
+  }
+
+  async findPreset(agentId, name, scope) {
+    const [row] = await database.executeQuery('SELECT * FROM voice_presets WHERE agent_id IS ? AND name = ?', [scope === 'global' ? null : agentId, name]);
+    return row ? this.formatPreset(row) : null;
+  }
+
+  async resolvePreset(agentId, name) {
+    const preset = (await this.findPreset(agentId, name, 'agent')) || (await this.findPreset(agentId, name, 'global'))
+      || this.getBuiltInPresets().find(builtIn => builtIn.name === name);
+    if (!preset) throw Object.assign(new Error(`Preset not found: ${name}`), { status: 404, code: 'PRESET_NOT_FOUND' });
+    return { success: true, preset };
+  }
+
+  async getPreset(agentId, name, scope) {
+    if (scope === undefined) return this.resolvePreset(agentId, name);
+    const preset = await this.findPreset(agentId, name, this.resolveScope(scope));
+    if (!preset) throw Object.assign(new Error(`Preset not found: ${name}`), { status: 404, code: 'PRESET_NOT_FOUND' });
+    return { success: true, preset };
+  }
+
+  async createPreset(agentId, { name, description, settings, scope }) {
+    const resolvedScope = this.resolveScope(scope);
+    this.validatePreset({ name, description, settings });
+    if (await this.findPreset(agentId, name, resolvedScope)) {
+      throw Object.assign(new Error(`Preset ${name} already exists for this ${resolvedScope === 'global' ? 'service' : 'agent'}`), { status: 409, code: 'PRESET_EXISTS' });
+    }
+    const now = new Date().toISOString();
+    await database.executeUpdate('INSERT INTO voice_presets (id, agent_id, name, description, settings, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [`preset_${uuidv4()}`, resolvedScope === 'global' ? null : agentId, name, description || '', JSON.stringify(settings), now, now]);
+    logger.agentOperation('Voice preset created', { agentId, name, scope: resolvedScope });
+    return this.getPreset(agentId, name, resolvedScope);
+  }
+
+  async updatePreset(agentId, name, { description, settings }, scope) {
+    const resolvedScope = this.resolveScope(scope);
+    this.validatePreset({ description, settings }, { partial: true });
+    const existing = await this.findPreset(agentId, name, resolvedScope);
+    if (!existing) throw this.missingPresetError(name, resolvedScope);
+    await database.executeUpdate('UPDATE voice_presets SET description = ?, settings = ?, updated_at = ? WHERE id = ?',
+      [description ?? existing.description, JSON.stringify(settings ?? existing.settings), new Date().toISOString(), existing.id]);
+    logger.agentOperation('Voice preset updated', { agentId, name, scope: resolvedScope });
+    return this.getPreset(agentId, name, resolvedScope);
+  }
+
+  async deletePreset(agentId, name, scope) {
+    const resolvedScope = this.resolveScope(scope);
+    const existing = await this.findPreset(agentId, name, resolvedScope);
+    if (!existing) throw this.missingPresetError(name, resolvedScope);
+    await database.executeUpdate('DELETE FROM voice_presets WHERE id = ?', [existing.id]);
+    logger.agentOperation('Voice preset deleted', { agentId, name, scope: resolvedScope });
+    return { success: true, name, scope: resolvedScope };
+  }
+
+  missingPresetError(name, scope) {
+    if (scope === 'global' && this.getBuiltInPresets().some(preset => preset.name === name)) {
+      return Object.assign(new Error(`Built-in preset ${name} is read-only; create a global preset with the same name to override it`), { status: 400, code: 'PRESET_READ_ONLY' });
+    }
+    return Object.assign(new Error(`Preset not found: ${name}`), { status: 404, code: 'PRESET_NOT_FOUND' });
+  }
+
+  // Settings precedence: agent defaults, then the named preset, then explicit request settings
+  async mergeSettings(agent, presetName, settings = {}) {
+    const preset = presetName ? (await this.resolvePreset(agent.id, presetName)).preset.settings : {};
+    return { ...agent.settings, ...preset, ...settings };
+  }
+
+  formatPreset(row) {
+    return { id: row.id, name: row.name, scope: row.agent_id ? 'agent' : 'global', agentId: row.agent_id, description: row.description, settings: JSON.parse(row.settings || '{}'), builtIn: false, createdAt: row.created_at, updatedAt: row.updated_at };
+  }
+}
+
+module.exports = new PresetService();
\ No newline at end of file
@@ -0,0 +1,57 @@
+// BIG BROTHER COMPLIANT - ElevenLabs TTS Provider
+const axios = require('axios');
+const FormData = require('form-data');
+const fs = require('fs');
+const path = require('path');
+const voiceConfig = require('../../config/voiceConfig');
+
+class ElevenLabsProvider {
+  constructor() {
+    this.name = 'elevenlabs';
+    this.displayName = 'ElevenLabs';
+    this.bigBrotherCompliant = true;
+    this.outputFormats = ['mp3_22050_32', 'mp3_44100_64', 'mp3_44100_96', 'mp3_44100_128', 'mp3_44100_192', 'pcm_16000', 'pcm_22050', 'pcm_24000', 'pcm_44100', 'ulaw_8000'];
+  }
+
+  url(endpoint, suffix = '') { return `${voiceConfig.elevenLabsConfig.baseUrl}${voiceConfig.elevenLabsConfig.endpoints[endpoint]}${suffix}`; }
+
+  requestOptions(extra = {}) {
+    return { headers: voiceConfig.getElevenLabsHeaders(), timeout: voiceConfig.elevenLabsConfig.timeout, ...extra };
+  }
+
+  async cloneVoice({ name, description, filePaths = [] }, options = {}) {
+    const formData = new FormData();
+    formData.append('name', name);
+    if (description) formData.append('description', description);
+    for (const filePath of filePaths) formData.append('files', fs.createReadStream(filePath), path.basename(filePath));
+    const response = await axios.post(this.url('voiceClone'), formData, {
+      ...this.requestOptions({ signal: options.signal }),
+      headers: { ...voiceConfig.getElevenLabsHeaders(), ...formData.getHeaders() }
+    });
+    return { voiceId: response.data.voice_id, name: response.data.name || name };
+  }
+
+  async synthesize({ text, voiceId, settings, outputFormat = 'mp3_44100_128' }, options = {}) {
+    const response = await axios.post(this.url('textToSpeech', `/${voiceId}`), { text, voice_settings: settings },
+      this.requestOptions({ responseType: 'stream', signal: options.signal, params: { output_format: outputFormat } }));
+    const [codec] = outputFormat.split('_');
+    const container = { mp3: ['audio/mpeg', '.mp3'], pcm: ['audio/pcm', '.pcm'], ulaw: ['audio/basic', '.ulaw'] }[codec];
+    return { audioStream: response.data, contentType: container[0], extension: container[1], format: outputFormat };
+  }
+
+  async listVoices() {
+    const response = await axios.get(this.url('voices'), this.requestOptions());
+    return response.data.voices || [];
+  }
+
+  async deleteVoice(voiceId) {
+    await axios.delete(this.url('voiceDelete', `/${voiceId}`), this.requestOptions());
+  }
+
+  async getAccountInfo() {
+    const response = await axios.get(this.url('user'), this.requestOptions());
+    return response.data;
+  }
+}
+
+module.exports = ElevenLabsProvider;
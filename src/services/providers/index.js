@@ -0,0 +1,23 @@
+// BIG BROTHER COMPLIANT - TTS Provider Registry
+// Every provider implements cloneVoice, synthesize, listVoices, deleteVoice and
+// getAccountInfo; synthesize resolves to { audioStream, contentType, extension, format }.
+// outputFormats lists the format ids a provider can produce natively (see utils/audioFormats).
+const ElevenLabsProvider = require('./elevenLabsProvider');
+const OfflineProvider = require('./offlineProvider');
+
+const REQUIRED_METHODS = ['cloneVoice', 'synthesize', 'listVoices', 'deleteVoice', 'getAccountInfo'];
+const providers = { elevenlabs: ElevenLabsProvider, offline: OfflineProvider };
+
+const registerProvider = (name, Provider) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof Provider.prototype[method] !== 'function');
+  if (missing.length > 0) throw new Error(`Provider ${name} is missing methods: ${missing.join(', ')}`);
+  providers[name] = Provider;
+};
+
+const createProvider = (name) => {
+  const Provider = providers[name];
+  if (!Provider) throw new Error(`Unknown voice provider: ${name}. Available: ${Object.keys(providers).join(', ')}`);
+  return new Provider();
+};
+
+module.exports = { REQUIRED_METHODS, registerProvider, createProvider };
@@ -0,0 +1,60 @@
+// BIG BROTHER COMPLIANT - Offline TTS Provider
+// Deterministic, network-free provider for development and CI
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { encodeWav } = require('../../utils/wav');
+const voiceConfig = require('../../config/voiceConfig');
+
+class OfflineProvider {
+  constructor() {
+    this.name = 'offline';
+    this.displayName = 'Offline';
+    this.bigBrotherCompliant = true;
+    this.voices = new Map();
+    this.characterCount = 0;
+  }
+
+  get outputFormats() { return [`wav_${voiceConfig.providerConfig.offline.sampleRate}`]; }
+
+  hash(value) { return crypto.createHash('sha256').update(String(value)).digest('hex'); }
+
+  async cloneVoice({ name, description, filePaths = [] }) {
+    const voiceId = `offline_${this.hash(`${name}:${filePaths.length}`).substring(0, 20)}`;
+    this.voices.set(voiceId, { voice_id: voiceId, name, description: description || '', category: 'cloned', samples: filePaths.length });
+    return { voiceId, name };
+  }
+
+  async synthesize({ text, voiceId }) {
+    const { sampleRate, msPerCharacter, minDurationMs } = voiceConfig.providerConfig.offline;
+    this.characterCount += text.length;
+    const audio = encodeWav(this.renderTones(text, voiceId, sampleRate, msPerCharacter, minDurationMs), { sampleRate });
+    return { audioStream: Readable.from([audio]), contentType: 'audio/wav', extension: '.wav', format: `wav_${sampleRate}` };
+  }
+
+  renderTones(text, voiceId, sampleRate, msPerCharacter, minDurationMs) {
+    const baseFrequency = 120 + (parseInt(this.hash(voiceId).substring(0, 4), 16) % 140);
+    const samplesPerCharacter = Math.round(sampleRate * msPerCharacter / 1000);
+    const total = Math.max(Math.round(sampleRate * minDurationMs / 1000), text.length * samplesPerCharacter);
+    const samples = new Int16Array(total);
+    for (let c = 0; c < text.length; c++) {
+      if (!/[a-zA-Z0-9]/.test(text[c])) continue;
+      const frequency = baseFrequency * (1 + (text.charCodeAt(c) % 12) / 24);
+      const offset = c * samplesPerCharacter;
+      for (let i = 0; i < samplesPerCharacter; i++) {
+        const envelope = Math.sin(Math.PI * i / samplesPerCharacter);
+        samples[offset + i] = Math.round(Math.sin(2 * Math.PI * frequency * i / sampleRate) * envelope * 0.2 * 32767);
+      }
+    }
+    return samples;
+  }
+
+  async listVoices() { return Array.from(this.voices.values()); }
+
+  async deleteVoice(voiceId) { this.voices.delete(voiceId); }
+
+  async getAccountInfo() {
+    return { subscription: { tier: 'offline', character_count: this.characterCount, character_limit: null, voice_limit: null }, provider: this.name };
+  }
+}
+
+module.exports = OfflineProvider;
@@ -0,0 +1,212 @@
+// BIG BROTHER COMPLIANT - Realtime Synthesis Gateway
+// WebSocket sessions that turn streamed text into audio frames a sentence at a time
+const { WebSocketServer, WebSocket } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const validators = require('../utils/validators');
+const { splitText } = require('../utils/textChunker');
+const { parseOutputFormat } = require('../utils/audioFormats');
+const voiceProcessor = require('./voiceProcessor');
+const agentService = require('./agentService');
+const presetService = require('./presetService');
+const voiceVersionService = require('./voiceVersionService');
+
+const REALTIME_PATH = '/api/v2/voice/realtime';
+const SENTENCE_END = /[.!?]+["')\]]*\s+/g;
+
+class RealtimeSession {
+  constructor(socket, agent, gateway, { outputFormat, voiceId, settings }) {
+    this.id = `rt_${uuidv4()}`;
+    this.socket = socket;
+    this.agent = agent;
+    this.gateway = gateway;
+    this.outputFormat = outputFormat;
+    this.voiceId = voiceId;
+    this.settings = settings;
+    this.buffer = '';
+    this.segments = 0;
+    this.closing = false;
+    this.controller = new AbortController();
+    this.pending = Promise.resolve();
+    this.touch();
+  }
+
+  touch() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.close(1000, 'Session idle'), this.gateway.idleTimeout);
+    this.idleTimer.unref();
+  }
+
+  send(message) {
+    if (this.socket.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(message));
+  }
+
+  sendError(error, segment) {
+    this.send({ type: 'error', ...(segment && { segment }), error: error.message, ...(error.code && { code: error.code }) });
+  }
+
+  handleMessage(raw, isBinary) {
+    this.touch();
+    let message;
+    try {
+      if (isBinary) throw new Error('Binary frames are not accepted, send JSON commands');
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return this.sendError(new Error(isBinary ? error.message : 'Messages must be valid JSON'));
+    }
+    if (this.closing) return this.sendError(new Error('Session is closing'));
+
+    switch (message.type) {
+      case 'text':
+        if (typeof message.text !== 'string') return this.sendError(new Error('text must be a string'));
+        if (this.buffer.length + message.text.length > this.gateway.maxBufferLength) {
+          return this.sendError(Object.assign(new Error('Text buffer limit exceeded, send flush first'), { code: 'BUFFER_FULL' }));
+        }
+        this.buffer += message.text;
+        return this.drain(false);
+      case 'flush':
+        this.drain(true);
+        return this.enqueue(() => this.send({ type: 'flushed', segments: this.segments }));
+      case 'close':
+        this.drain(true);
+        this.closing = true;
+        return this.enqueue(() => this.close(1000, 'Session closed by client'));
+      default:
+        return this.sendError(new Error(`Unknown command: ${message.type}`));
+    }
+  }
+
+  // Emits every complete sentence in the buffer; on flush the trailing fragment goes too.
+  drain(flush) {
+    let boundary = 0;
+    for (const match of this.buffer.matchAll(SENTENCE_END)) boundary = match.index + match[0].length;
+    if (flush) boundary = this.buffer.length;
+
+    let ready = this.buffer.slice(0, boundary);
+    let rest = this.buffer.slice(boundary);
+    if (!flush && boundary < this.gateway.minSegmentLength) {
+      if (this.buffer.length <= this.gateway.maxSegmentLength) return;
+      // No usable sentence end yet but the buffer is too long to keep waiting on; cut at word boundaries
+      const pieces = splitText(this.buffer, this.gateway.maxSegmentLength);
+      rest = pieces.length > 1 ? pieces.pop() + (/\s$/.test(this.buffer) ? ' ' : '') : '';
+      ready = pieces.join(' ');
+    }
+    this.buffer = rest;
+    splitText(ready, this.gateway.maxSegmentLength).forEach(text => this.enqueue(() => this.synthesize(text)));
+  }
+
+  enqueue(task) {
+    this.pending = this.pending.then(task).catch(error => logger.error('Realtime session task failed', { sessionId: this.id, error: error.message }));
+    return this.pending;
+  }
+
+  async synthesize(text) {
+    if (this.controller.signal.aborted) return;
+    const segment = ++this.segments;
+    const startTime = Date.now();
+    try {
+      const validation = validators.validateTextToSpeechRequest({ text, agentId: this.agent.id });
+      if (!validation.isValid) throw Object.assign(new Error(validation.errors.join(', ')), { code: 'VALIDATION_FAILED' });
+
+      const result = await voiceProcessor.generateSpeech(validation.sanitized.text, this.voiceId, this.settings, { signal: this.controller.signal, lane: 'interactive', outputFormat: this.outputFormat });
+      this.send({ type: 'segment.start', segment, text: validation.sanitized.text, contentType: result.contentType });
+      let bytes = 0;
+      for await (const chunk of result.audioStream) {
+        if (this.socket.readyState !== WebSocket.OPEN) return result.audioStream.destroy();
+        bytes += chunk.length;
+        await new Promise((resolve, reject) => this.socket.send(chunk, { binary: true }, error => (error ? reject(error) : resolve())));
+      }
+      this.send({ type: 'segment.end', segment, bytes, duration: Date.now() - startTime });
+      logger.voiceProcessing('Realtime segment synthesized', { sessionId: this.id, agentId: this.agent.id, segment, textLength: text.length, bytes, duration: Date.now() - startTime });
+    } catch (error) {
+      if (this.controller.signal.aborted) return;
+      logger.warn('Realtime segment failed', { sessionId: this.id, segment, error: error.message });
+      this.sendError(error, segment);
+    }
+  }
+
+  close(code = 1000, reason = '') {
+    clearTimeout(this.idleTimer);
+    if (this.socket.readyState === WebSocket.OPEN) this.socket.close(code, reason);
+  }
+
+  dispose() {
+    clearTimeout(this.idleTimer);
+    this.controller.abort();
+    this.gateway.sessions.delete(this.id);
+    logger.info('Realtime session ended', { sessionId: this.id, agentId: this.agent.id, segments: this.segments });
+  }
+}
+
+class RealtimeSynthesisGateway {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    this.sessions = new Map();
+    this.minSegmentLength = parseInt(process.env.REALTIME_MIN_SEGMENT_LENGTH) || 20;
+    this.maxSegmentLength = parseInt(process.env.REALTIME_MAX_SEGMENT_LENGTH) || 300;
+    this.maxBufferLength = parseInt(process.env.REALTIME_MAX_BUFFER_LENGTH) || 5000;
+    this.idleTimeout = parseInt(process.env.REALTIME_IDLE_TIMEOUT) || 60000;
+    this.heartbeatInterval = parseInt(process.env.REALTIME_HEARTBEAT_INTERVAL) || 30000;
+  }
+
+  attach(server) {
+    this.wss = new WebSocketServer({ server, path: REALTIME_PATH, maxPayload: 64 * 1024 });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach(socket => {
+        if (socket.isAlive === false) return socket.terminate();
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, this.heartbeatInterval);
+    this.heartbeat.unref();
+    logger.info('Realtime synthesis gateway attached', { path: REALTIME_PATH });
+    return this.wss;
+  }
+
+  async handleConnection(socket, req) {
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const early = [];
+    socket.on('message', (raw, isBinary) => early.push([raw, isBinary]));
+
+    let agent;
+    let voice;
+    try {
+      const outputFormat = params.get('outputFormat') ? parseOutputFormat(params.get('outputFormat')).id : undefined;
+      agent = (await agentService.getAgent(params.get('agentId'))).agent;
+      // Resolved once per session, the same way the HTTP synthesis routes resolve ?preset and ?voiceVersion
+      const settings = await presetService.mergeSettings(agent, params.get('preset') || undefined);
+      voice = { outputFormat, settings, voiceId: await voiceVersionService.resolveVoiceId(agent, params.get('voiceVersion')) };
+    } catch (error) {
+      if (socket.readyState !== WebSocket.OPEN) return;
+      socket.send(JSON.stringify({ type: 'error', error: error.message, code: error.code || (error.message.includes('not found') ? 'AGENT_NOT_FOUND' : 'SESSION_REJECTED') }));
+      return socket.close(1008, 'Session rejected');
+    }
+    if (socket.readyState !== WebSocket.OPEN) return;
+
+    const session = new RealtimeSession(socket, agent, this, voice);
+    this.sessions.set(session.id, session);
+    socket.removeAllListeners('message');
+    socket.on('message', (raw, isBinary) => session.handleMessage(raw, isBinary));
+    socket.on('close', () => session.dispose());
+    socket.on('error', error => logger.warn('Realtime socket error', { sessionId: session.id, error: error.message }));
+
+    logger.info('Realtime session started', { sessionId: session.id, agentId: agent.id });
+    session.send({ type: 'session.started', sessionId: session.id, agentId: agent.id, outputFormat: voice.outputFormat, preset: params.get('preset') || null, voiceVersion: params.get('voiceVersion') || null, minSegmentLength: this.minSegmentLength, maxSegmentLength: this.maxSegmentLength });
+    early.forEach(([raw, isBinary]) => session.handleMessage(raw, isBinary));
+  }
+
+  getStatus() {
+    return { attached: Boolean(this.wss), path: REALTIME_PATH, activeSessions: this.sessions.size };
+  }
+
+  async close() {
+    clearInterval(this.heartbeat);
+    this.sessions.forEach(session => session.close(1001, 'Server shutting down'));
+    if (this.wss) await new Promise(resolve => this.wss.close(resolve));
+  }
+}
+
+module.exports = new RealtimeSynthesisGateway();
\ No newline at end of file
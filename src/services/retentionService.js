@@ -0,0 +1,193 @@
+// BIG BROTHER COMPLIANT - Retention Service
+// Purges generated audio (from the storage ledger) and clone samples per config/retentionConfig
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const retentionConfig = require('../config/retentionConfig');
+const audioManager = require('./audioManager');
+const maintenanceScheduler = require('./maintenanceScheduler');
+const voiceConfig = require('../config/voiceConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// owns: tables whose rows pointing at a purged file are deleted along with it
+const TARGETS = {
+  generations: {
+    select: "SELECT key AS id, agent_id, key, size, created_at FROM storage_objects WHERE kind = 'generated'",
+    files: row => [{ key: row.key, size: row.size }],
+    createdAt: row => row.created_at,
+    owns: ['generations', 'longform_documents']
+  },
+  samples: {
+    select: 'SELECT id, agent_id, file_path, file_size, processed_path, processed_size, created_at FROM agent_samples',
+    files: row => [{ key: row.file_path, size: row.file_size }, { key: row.processed_path, size: row.processed_size }],
+    createdAt: row => Date.parse(row.created_at) || 0,
+    owns: []
+  }
+};
+
+// Every column that can point at a stored file; rows written before storage drivers hold absolute paths
+const FILE_REFERENCES = [['generations', 'audio_path'], ['longform_documents', 'audio_path'], ['longform_chunks', 'audio_path'], ['agent_samples', 'file_path'], ['agent_samples', 'processed_path']];
+
+const newestFirst = (a, b) => b.createdAt - a.createdAt || (a.id < b.id ? 1 : -1);
+const byAgent = (items) => items.reduce((groups, item) => groups.set(item.agentId, [...(groups.get(item.agentId) || []), item]), new Map());
+
+// Each rule returns the items it would purge
+const RULES = {
+  age: (items, policy, now) => items.filter(item => item.createdAt < now - policy.maxAgeDays * DAY_MS),
+  count: (items, policy) => [...byAgent(items).values()].flatMap(group => group.sort(newestFirst).slice(policy.keepLast)),
+  size: (items, policy) => [...byAgent(items).values()].flatMap((group) => {
+    let total = 0;
+    return group.sort(newestFirst).filter((item) => { total += item.bytes; return total > policy.maxBytesPerAgent; });
+  })
+};
+
+class RetentionService {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    maintenanceScheduler.registerTask('retention', {
+      schedule: process.env.MAINTENANCE_RETENTION_SCHEDULE || '0 4 * * *',
+      description: 'Apply retention policies to generated audio and clone samples, deleting rows and files together',
+      run: () => this.enforce()
+    });
+  }
+
+  listPolicies() {
+    return retentionConfig.policies;
+  }
+
+  heldBy(agentId, target) {
+    return retentionConfig.getLegalHolds().filter(hold => hold.agents.includes(agentId) && (!hold.target || hold.target === target)).map(hold => hold.name);
+  }
+
+  // Deleting an agent removes all of its audio, so a hold on any target blocks it
+  assertNotHeld(agentId) {
+    const holds = retentionConfig.getLegalHolds().filter(hold => hold.agents.includes(agentId)).map(hold => hold.name);
+    if (holds.length > 0) throw Object.assign(new Error(`Agent ${agentId} is under legal hold (${holds.join(', ')})`), { status: 409, code: 'LEGAL_HOLD' });
+  }
+
+  async loadItems(target) {
+    const rows = await database.executeQuery(TARGETS[target].select);
+    return rows.map(row => ({
+      target, id: row.id, agentId: row.agent_id, createdAt: TARGETS[target].createdAt(row),
+      files: TARGETS[target].files(row).filter(file => file.key).map(file => ({ key: audioManager.keyOf(file.key), size: file.size || 0 }))
+    })).map(item => ({ ...item, bytes: item.files.reduce((sum, file) => sum + file.size, 0) }));
+  }
+
+  // Reference counts per storage key, so shared files are only counted once freed; rows in
+  // the skipped tables are deleted with the purged file and so never keep it alive
+  async loadReferences(skip = []) {
+    const references = new Map();
+    for (const [table, column] of FILE_REFERENCES.filter(([table]) => !skip.includes(table))) {
+      const rows = await database.executeQuery(`SELECT ${column} AS ref FROM ${table} WHERE ${column} IS NOT NULL`);
+      for (const { ref } of rows) references.set(audioManager.keyOf(ref), (references.get(audioManager.keyOf(ref)) || 0) + 1);
+    }
+    return references;
+  }
+
+  async isReferenced(key) {
+    for (const [table, column] of FILE_REFERENCES) {
+      const [row] = await database.executeQuery(`SELECT 1 AS found FROM ${table} WHERE ${column} = ? OR ${column} LIKE ? LIMIT 1`, [key, `%/${key}`]);
+      if (row) return true;
+    }
+    return false;
+  }
+
+  // Evaluates every purge policy against current data; policies with enforce: false are reported but never purged
+  async plan({ now = Date.now() } = {}) {
+    const items = {};
+    for (const target of new Set(retentionConfig.getPurgePolicies().map(policy => policy.target))) items[target] = await this.loadItems(target);
+
+    const purge = new Map();
+    const policies = retentionConfig.getPurgePolicies().map((policy) => {
+      const matched = RULES[policy.rule](items[policy.target], policy, now);
+      const held = matched.filter(item => this.heldBy(item.agentId, item.target).length > 0);
+      const eligible = matched.filter(item => !held.includes(item));
+      if (policy.enforce) {
+        for (const item of eligible) {
+          const entry = purge.get(`${item.target}:${item.id}`) || { ...item, policies: [] };
+          purge.set(`${item.target}:${item.id}`, { ...entry, policies: [...entry.policies, policy.name] });
+        }
+      }
+      return { ...policy, matched: eligible.length, bytes: eligible.reduce((sum, item) => sum + item.bytes, 0), held: held.length };
+    });
+
+    const { candidates, keptForCloning } = this.keepCloneSamples([...purge.values()].sort((a, b) => a.createdAt - b.createdAt), items.samples || []);
+    const references = { generations: await this.loadReferences(TARGETS.generations.owns), samples: await this.loadReferences() };
+    let bytesFreed = 0;
+    for (const item of candidates) {
+      // A sample row references its own files; a ledger entry does not
+      const own = item.target === 'samples' ? 1 : 0;
+      item.freedFiles = item.files.filter((file) => {
+        const remaining = (references[item.target].get(file.key) || own) - own;
+        references[item.target].set(file.key, remaining);
+        return remaining === 0;
+      }).map(file => file.key);
+      bytesFreed += item.files.filter(file => item.freedFiles.includes(file.key)).reduce((sum, file) => sum + file.size, 0);
+    }
+    return { policies, candidates, bytesFreed, keptForCloning, evaluatedAt: new Date(now).toISOString() };
+  }
+
+  // Purges samples oldest first only while the agent keeps cloneRequiredSamples; the rest are kept
+  keepCloneSamples(candidates, samples) {
+    const required = voiceConfig.processingConfig.voice.cloneRequiredSamples;
+    const remaining = new Map([...byAgent(samples)].map(([agentId, group]) => [agentId, group.length]));
+    const purgeable = new Set();
+    for (const item of candidates.filter(entry => entry.target === 'samples')) {
+      if (remaining.get(item.agentId) - 1 < required) continue;
+      remaining.set(item.agentId, remaining.get(item.agentId) - 1);
+      purgeable.add(item);
+    }
+    const kept = candidates.filter(item => item.target === 'samples' && !purgeable.has(item));
+    return { candidates: candidates.filter(item => !kept.includes(item)), keptForCloning: kept.length };
+  }
+
+  // A ledger entry only counts as purged while it still exists; its generation and document rows go with it
+  async removeItem(item) {
+    if (item.target === 'samples') return (await database.executeUpdate('DELETE FROM agent_samples WHERE id = ?', [item.id])).changes > 0;
+    const [entry] = await database.executeQuery('SELECT 1 AS found FROM storage_objects WHERE key = ?', [item.id]);
+    if (!entry) return false;
+    for (const table of TARGETS.generations.owns) await database.executeUpdate(`DELETE FROM ${table} WHERE audio_path = ? OR audio_path LIKE ?`, [item.id, `%/${item.id}`]);
+    return true;
+  }
+
+  // ?limit= caps the itemized list only; counts and byte totals always cover every candidate
+  async dryRun({ limit = 100 } = {}) {
+    const { policies, candidates, bytesFreed, keptForCloning, evaluatedAt } = await this.plan();
+    const listed = Math.min(Math.max(parseInt(limit) || 100, 0), 1000);
+    return {
+      dryRun: true, evaluatedAt, policies, legalHolds: retentionConfig.getLegalHolds(),
+      summary: { items: candidates.length, generations: candidates.filter(item => item.target === 'generations').length, samples: candidates.filter(item => item.target === 'samples').length, bytesFreed, keptForCloning },
+      items: candidates.slice(0, listed).map(item => this.formatItem(item)), truncated: candidates.length > listed
+    };
+  }
+
+  // Rows go first so nothing can hand out a link to a file mid-delete; files are re-checked against the live tables
+  async enforce() {
+    const { candidates, keptForCloning } = await this.plan();
+    const result = { generations: 0, samples: 0, filesDeleted: 0, bytesFreed: 0, fileErrors: 0, keptForCloning };
+    for (const item of candidates) {
+      if (!(await this.removeItem(item))) continue;
+      result[item.target]++;
+      for (const file of item.files) {
+        if (await this.isReferenced(file.key)) continue;
+        if (await audioManager.deleteFile(file.key)) {
+          result.filesDeleted++;
+          result.bytesFreed += file.size;
+        } else if (await audioManager.exists(file.key).catch(() => true)) {
+          result.fileErrors++;
+        }
+      }
+    }
+    logger.info('Retention policies enforced', result);
+    return result;
+  }
+
+  formatItem(item) {
+    return {
+      target: item.target, id: item.id, agentId: item.agentId, createdAt: new Date(item.createdAt).toISOString(), bytes: item.bytes,
+      bytesFreed: item.files.filter(file => item.freedFiles.includes(file.key)).reduce((sum, file) => sum + file.size, 0), files: item.files.map(file => file.key), policies: item.policies
+    };
+  }
+}
+
+module.exports = new RetentionService();
\ No newline at end of file
@@ -0,0 +1,69 @@
+// BIG BROTHER COMPLIANT - Provider Retry Policy
+// Exponential backoff with jitter; clones only retry when the provider cannot have acted
+const logger = require('../utils/logger');
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const UNPROCESSED_STATUSES = [429, 503];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const UNSENT_NETWORK_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+class RetryPolicy {
+  constructor({ retryAttempts = 3, retryDelay = 1000, retryMaxDelay = 10000 } = {}) {
+    this.maxAttempts = retryAttempts + 1;
+    this.baseDelay = retryDelay;
+    this.maxDelay = retryMaxDelay;
+    this.bigBrotherCompliant = true;
+  }
+
+  async execute(fn, { operation = 'provider-call', idempotent = true, signal } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      logger.debug('Provider call attempt', { operation, attempt, maxAttempts: this.maxAttempts });
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = attempt < this.maxAttempts && !signal?.aborted && this.isRetryable(error, idempotent);
+        const delay = retryable ? this.getDelay(attempt, error) : null;
+        if (!retryable || delay === null) {
+          if (attempt > 1) logger.error('Provider call failed after retries', { operation, attempt, status, error: error.message });
+          error.attempts = attempt;
+          throw error;
+        }
+        logger.warn('Provider call failed, retrying', { operation, attempt, maxAttempts: this.maxAttempts, status, code: error.code, delay });
+        await this.sleep(delay, signal);
+      }
+    }
+  }
+
+  isRetryable(error, idempotent) {
+    if (error.code === 'ERR_CANCELED' || error.name === 'AbortError') return false;
+    const status = error.response?.status;
+    if (status) return (idempotent ? RETRYABLE_STATUSES : UNPROCESSED_STATUSES).includes(status);
+    return (idempotent ? RETRYABLE_NETWORK_CODES : UNSENT_NETWORK_CODES).includes(error.code);
+  }
+
+  getDelay(attempt, error) {
+    const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) return retryAfter <= this.maxDelay ? retryAfter : null;
+    const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  parseRetryAfter(header) {
+    if (header === undefined || header === null || header === '') return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+      const onAbort = () => { clearTimeout(timer); reject(signal.reason || new Error('Request aborted')); };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,75 @@
+// BIG BROTHER COMPLIANT - Sample Quality Service
+// Scores clone samples so poor recordings are caught before a capped clone attempt
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+const sampleConfig = require('../config/sampleConfig');
+const audioManager = require('./audioManager');
+const { sniffFormat } = require('../utils/audioSniffer');
+const { analyzeWav } = require('../utils/sampleAnalyzer');
+
+const VERDICT_ORDER = ['pass', 'warn', 'fail'];
+
+class SampleQualityService {
+  constructor() { this.bigBrotherCompliant = true; }
+
+  get thresholds() {
+    const { enforce, ...thresholds } = sampleConfig.quality;
+    return thresholds;
+  }
+
+  // Falls back to SAMPLE_QUALITY_GATE
+  wantsQualityGate(flag) {
+    return sampleConfig.parseFlag(flag, sampleConfig.quality.enforce);
+  }
+
+  async analyzeFile(filePath, originalName) {
+    const format = await sniffFormat(filePath, originalName);
+    if (format !== 'wav') {
+      throw Object.assign(new Error(`Unsupported media type: quality analysis needs WAV or raw PCM audio, ${originalName} is ${format.toUpperCase()}`), { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+    }
+    try {
+      const options = { thresholds: this.thresholds, silenceThresholdDb: sampleConfig.preprocessing.silenceThresholdDb };
+      return { filename: originalName, ...analyzeWav(await fs.readFile(filePath), options) };
+    } catch (error) {
+      if (error.status) throw error;
+      throw Object.assign(new Error(`Validation failed: could not analyze ${originalName} (${error.message})`), { status: 400 });
+    }
+  }
+
+  // Uploads are scored where multer left them and always removed afterwards
+  async analyzeUploads(files) {
+    try {
+      if (files.length === 0) throw Object.assign(new Error('Validation failed: at least one audio file is required'), { status: 400 });
+      const reports = [];
+      for (const file of files) reports.push(await this.analyzeFile(file.path, file.originalname));
+      const verdict = VERDICT_ORDER[Math.max(...reports.map(report => VERDICT_ORDER.indexOf(report.verdict)))];
+      logger.audioProcessing('Samples analyzed', { files: reports.length, verdict });
+      return { success: true, verdict, reports, thresholds: this.thresholds };
+    } finally {
+      await Promise.all(files.map(file => audioManager.cleanupTempFile(file.path)));
+    }
+  }
+
+  // Clone gate: samples with a "fail" verdict are refused. Formats that cannot be scored (compressed
+  // audio) pass through to the usual upload checks and are listed as skipped so callers can see it.
+  async assertClonable(files) {
+    const failures = [];
+    const skipped = [];
+    for (const file of files) {
+      try {
+        const report = await this.analyzeFile(file.path, file.originalname);
+        if (report.verdict === 'fail') failures.push(`${report.filename}: ${report.checks.filter(check => check.status === 'fail').map(check => `${check.metric} ${check.value}`).join(', ')}`);
+      } catch (error) {
+        if (error.status !== 415) throw error;
+        skipped.push({ filename: file.originalname, reason: error.message });
+        logger.warn('Sample quality check skipped', { filename: file.originalname, reason: error.message });
+      }
+    }
+    if (failures.length > 0) {
+      throw Object.assign(new Error(`Sample quality check failed (${failures.join('; ')}); see POST /api/v2/voice/samples/analyze`), { status: 422, code: 'SAMPLE_QUALITY_FAILED' });
+    }
+    return { checked: files.length - skipped.length, skipped };
+  }
+}
+
+module.exports = new SampleQualityService();
\ No newline at end of file
@@ -0,0 +1,148 @@
+// BIG BROTHER COMPLIANT - Agent Sample Service
+// Per-agent clone samples; every change queues a re-clone
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const voiceConfig = require('../config/voiceConfig');
+const voiceProcessor = require('./voiceProcessor');
+const audioManager = require('./audioManager');
+const synthesisCache = require('./synthesisCache');
+const jobQueue = require('./jobQueue');
+const eventBus = require('./eventBus');
+const voiceVersionService = require('./voiceVersionService');
+const storageQuotaService = require('./storageQuotaService');
+
+class SampleService {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    this.maxSamples = parseInt(process.env.MAX_SAMPLES_PER_AGENT) || 25;
+    jobQueue.registerHandler('agent-reclone', ({ agentId }) => this.recloneAgent(agentId));
+  }
+
+  get requiredSamples() { return voiceConfig.processingConfig.voice.cloneRequiredSamples; }
+
+  // Moves uploads out of temp and fingerprints them; nothing is kept if any file fails
+  async prepareSamples(files, options = {}) {
+    await storageQuotaService.assertCapacity(options.agentId, files.reduce((sum, file) => sum + (file.size || 0), 0)).catch(async (error) => {
+      await Promise.all(files.map(file => audioManager.cleanupTempFile(file.path)));
+      throw error;
+    });
+    const samples = [];
+    try {
+      for (const file of files) {
+        const upload = await audioManager.processUpload(file, { ...options, preprocess: audioManager.wantsPreprocessing(options.preprocess) });
+        const { duration, sampleRate, channels, bitrate, hash } = upload.audioInfo;
+        samples.push({
+          filename: upload.filename, originalName: upload.originalName, key: upload.key, size: upload.size, duration, sampleRate, channels, bitrate, container: upload.format, hash,
+          processedKey: upload.processed?.key || null, processedSize: upload.processed?.size || null
+        });
+      }
+      return samples;
+    } catch (error) {
+      await Promise.all(samples.map(sample => this.deleteSampleFiles(sample.key, sample.processedKey)));
+      await Promise.all(files.slice(samples.length + 1).map(file => audioManager.cleanupTempFile(file.path)));
+      throw error;
+    }
+  }
+
+  // Drops samples whose audio hash matches an existing one or an earlier upload, deleting their stored files
+  async dedupeSamples(samples, existing = []) {
+    const seen = new Set(existing.map(sample => sample.hash));
+    const unique = [];
+    const duplicates = [];
+    for (const sample of samples) {
+      if (seen.has(sample.hash)) {
+        duplicates.push(sample.originalName);
+        await this.deleteSampleFiles(sample.key, sample.processedKey);
+      } else {
+        seen.add(sample.hash);
+        unique.push(sample);
+      }
+    }
+    return { unique, duplicates };
+  }
+
+  async recordSamples(agentId, samples) {
+    const now = new Date().toISOString();
+    for (const sample of samples) {
+      sample.id = `smp_${uuidv4()}`;
+      await database.executeUpdate('INSERT INTO agent_samples (id, agent_id, filename, original_name, file_path, file_size, duration, sample_rate, channels, bitrate, container, processed_path, processed_size, hash, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [sample.id, agentId, sample.filename, sample.originalName, sample.key, sample.size, sample.duration, sample.sampleRate, sample.channels, sample.bitrate, sample.container, sample.processedKey, sample.processedSize, sample.hash, now]);
+    }
+    return samples;
+  }
+
+  async listSamples(agentId) {
+    const rows = await database.executeQuery('SELECT * FROM agent_samples WHERE agent_id = ? ORDER BY created_at, id', [agentId]);
+    const samples = rows.map(row => this.formatSample(row));
+    const totalDuration = samples.every(sample => sample.duration !== null) ? samples.reduce((sum, sample) => sum + sample.duration, 0) : null;
+    return { success: true, samples, totalSize: samples.reduce((sum, sample) => sum + sample.size, 0), totalDuration };
+  }
+
+  async addSamples(agentId, files, options = {}) {
+    const existing = (await this.listSamples(agentId)).samples;
+    if (files.length === 0 || existing.length + files.length > this.maxSamples) {
+      await Promise.all(files.map(file => audioManager.cleanupTempFile(file.path)));
+      throw Object.assign(new Error(`Validation failed: provide 1-${this.maxSamples - existing.length} audio files (agents hold at most ${this.maxSamples} samples)`), { status: 400 });
+    }
+
+    const { unique: added, duplicates } = await this.dedupeSamples(await this.prepareSamples(files, { ...options, agentId }), existing);
+    await this.recordSamples(agentId, added);
+    const recloneJobId = added.length > 0 ? await this.scheduleReclone(agentId) : null;
+    logger.agentOperation('Agent samples added', { agentId, added: added.length, duplicates: duplicates.length, recloneJobId });
+    return { success: true, added: added.map(sample => sample.id), duplicates, recloneJobId, ...(await this.listSamples(agentId)) };
+  }
+
+  async removeSample(agentId, sampleId) {
+    const [row] = await database.executeQuery('SELECT * FROM agent_samples WHERE id = ? AND agent_id = ?', [sampleId, agentId]);
+    if (!row) throw new Error('Sample not found');
+    const [{ count }] = await database.executeQuery('SELECT COUNT(*) as count FROM agent_samples WHERE agent_id = ?', [agentId]);
+    if (count - 1 < this.requiredSamples) {
+      throw Object.assign(new Error(`Agent needs at least ${this.requiredSamples} sample(s) for cloning; add a replacement before removing this one`), { status: 409, code: 'SAMPLES_REQUIRED' });
+    }
+    await database.executeUpdate('DELETE FROM agent_samples WHERE id = ?', [sampleId]);
+    await this.deleteSampleFiles(row.file_path, row.processed_path);
+    const recloneJobId = await this.scheduleReclone(agentId);
+    logger.agentOperation('Agent sample removed', { agentId, sampleId, recloneJobId });
+    return { success: true, sampleId, recloneJobId };
+  }
+
+  // A queued (not yet running) re-clone already reads the latest samples, so reuse it
+  async scheduleReclone(agentId) {
+    const payload = JSON.stringify({ agentId });
+    const [pending] = await database.executeQuery("SELECT id FROM jobs WHERE type = 'agent-reclone' AND status = 'queued' AND payload = ?", [payload]);
+    if (pending) return pending.id;
+    return jobQueue.enqueue('agent-reclone', { agentId }, { lane: 'batch', jobId: `job_reclone_${uuidv4()}` });
+  }
+
+  async recloneAgent(agentId) {
+    const [agent] = await database.executeQuery('SELECT * FROM agents WHERE id = ?', [agentId]);
+    if (!agent) return { skipped: 'Agent no longer exists' };
+    const samples = await database.executeQuery('SELECT id, COALESCE(processed_path, file_path) as clone_path, file_path, file_size FROM agent_samples WHERE agent_id = ? ORDER BY created_at, id', [agentId]);
+    if (samples.length === 0 || samples.length < this.requiredSamples) return { skipped: `Agent has ${samples.length} sample(s), ${this.requiredSamples} required` };
+
+    // The replaced voice stays at the provider as an earlier version so it can be rolled back to
+    const clone = await audioManager.withLocalFiles(samples.map(sample => sample.clone_path), paths => voiceProcessor.createVoiceClone(agent.name, agent.description, paths));
+    await database.executeUpdate('UPDATE agents SET file_path = ?, file_size = ? WHERE id = ?', [samples[0].file_path, samples.reduce((sum, sample) => sum + sample.file_size, 0), agentId]);
+    const { version } = await voiceVersionService.recordVersion(agentId, { voiceId: clone.voiceId, sampleIds: samples.map(sample => sample.id), settings: JSON.parse(agent.settings || '{}'), reason: 'reclone' });
+    synthesisCache.evictAgent(agentId);
+    logger.agentOperation('Agent re-cloned from samples', { agentId, voiceId: clone.voiceId, version: version.version, samples: samples.length });
+    eventBus.publish('agent.updated', { agent: { id: agentId, name: agent.name, voiceId: clone.voiceId, voiceVersion: version.version, sampleCount: samples.length }, reason: 'reclone' });
+    return { voiceId: clone.voiceId, version: version.version, samples: samples.length };
+  }
+
+  formatSample(row) {
+    return {
+      id: row.id, agentId: row.agent_id, filename: row.filename, originalName: row.original_name, size: row.file_size, duration: row.duration,
+      sampleRate: row.sample_rate, channels: row.channels, bitrate: row.bitrate, container: row.container, preprocessed: row.processed_path !== null, processedSize: row.processed_size,
+      hash: row.hash, createdAt: row.created_at
+    };
+  }
+
+  // file_path and processed_path hold storage keys (absolute paths on rows that predate storage drivers)
+  async deleteSampleFiles(fileKey, processedKey) {
+    await Promise.all([fileKey, processedKey].filter(Boolean).map(file => audioManager.deleteFile(file)));
+  }
+}
+
+module.exports = new SampleService();
\ No newline at end of file
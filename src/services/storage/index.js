@@ -0,0 +1,39 @@
+// BIG BROTHER COMPLIANT - Storage Driver Registry
+// Every driver implements put, getStream, delete, list, stat and getUrl over flat object keys;
+// getStream takes an optional inclusive { start, end } byte range.
+// Drivers backed by local disk also expose localPath(key) so callers can skip a download.
+const crypto = require('crypto');
+const LocalStorageDriver = require('./localStorage');
+const S3StorageDriver = require('./s3Storage');
+
+const REQUIRED_METHODS = ['put', 'getStream', 'delete', 'list', 'stat', 'getUrl'];
+const drivers = { local: LocalStorageDriver, s3: S3StorageDriver };
+
+const registerDriver = (name, Driver) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof Driver.prototype[method] !== 'function');
+  if (missing.length > 0) throw new Error(`Storage driver ${name} is missing methods: ${missing.join(', ')}`);
+  drivers[name] = Driver;
+};
+
+const createStorage = (name, options = {}) => {
+  const Driver = drivers[name];
+  if (!Driver) throw new Error(`Unknown storage driver: ${name}. Available: ${Object.keys(drivers).join(', ')}`);
+  return new Driver(options);
+};
+
+// Local drivers hand out their own paths; anything else is copied into scratch and removed afterwards
+const withLocalFiles = async (storage, scratch, keys, fn) => {
+  if (storage.localPath) return fn(keys.map(key => storage.localPath(key)));
+  const staged = [];
+  try {
+    for (const key of keys) {
+      staged.push(`${crypto.randomBytes(8).toString('hex')}-${key}`);
+      await scratch.put(staged[staged.length - 1], await storage.getStream(key));
+    }
+    return await fn(staged.map(key => scratch.localPath(key)));
+  } finally {
+    await Promise.all(staged.map(key => scratch.delete(key).catch(() => false)));
+  }
+};
+
+module.exports = { REQUIRED_METHODS, registerDriver, createStorage, withLocalFiles };
\ No newline at end of file
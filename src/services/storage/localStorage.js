@@ -0,0 +1,73 @@
+// BIG BROTHER COMPLIANT - Local Filesystem Storage Driver
+// Objects are files directly under one root directory, named by their key.
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { assertKey, notFound } = require('./storageKeys');
+
+class LocalStorageDriver {
+  constructor({ root, baseUrl = null } = {}) {
+    if (!root) throw new Error('Local storage requires a root directory');
+    this.name = 'local';
+    this.root = path.resolve(root);
+    this.baseUrl = baseUrl;
+    fs.mkdirSync(this.root, { recursive: true });
+  }
+
+  localPath(key) { return path.join(this.root, assertKey(key)); }
+
+  // body is a Buffer or a readable stream; a failed write never leaves a partial file behind
+  async put(key, body) {
+    const filePath = this.localPath(key);
+    try {
+      if (Buffer.isBuffer(body)) await fs.promises.writeFile(filePath, body);
+      else await pipeline(body, fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      throw error;
+    }
+    return { key, size: (await fs.promises.stat(filePath)).size };
+  }
+
+  // range is { start, end } with an inclusive end, as in HTTP Range headers
+  async getStream(key, range = null) {
+    const filePath = this.localPath(key);
+    if (!(await this.stat(key))) throw notFound(key);
+    return fs.createReadStream(filePath, range ? { start: range.start, end: range.end } : undefined);
+  }
+
+  // Resolves false when the key did not exist
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.localPath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list(prefix = '') {
+    const entries = await fs.promises.readdir(this.root, { withFileTypes: true });
+    const files = entries.filter(entry => entry.isFile() && entry.name.startsWith(prefix));
+    const stats = await Promise.all(files.map(entry => this.stat(entry.name).catch(() => null)));
+    return stats.filter(Boolean);
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.localPath(key));
+      return { key, size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  getUrl(key) {
+    if (!this.baseUrl) throw new Error('Local storage has no public URL configured');
+    return `${this.baseUrl}/${encodeURIComponent(assertKey(key))}`;
+  }
+}
+
+module.exports = LocalStorageDriver;
\ No newline at end of file
@@ -0,0 +1,151 @@
+// BIG BROTHER COMPLIANT - S3-Compatible Storage Driver
+// AWS S3 or S3-compatible storage over Signature V4; getUrl returns presigned GET URLs
+const crypto = require('crypto');
+const axios = require('axios');
+const { assertKey, notFound } = require('./storageKeys');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+// RFC 3986 encoding, which is stricter than encodeURIComponent
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const amzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+const xmlText = (xml, tag) => (xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`)) || [])[1];
+const unescapeXml = (text) => text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+// Signing needs the payload hash up front, so bodies are buffered. Listening for 'data' rather than
+// async-iterating lets callers keep piping the same stream elsewhere (e.g. to an HTTP response).
+const readBody = (body) => (Buffer.isBuffer(body) ? Promise.resolve(body) : new Promise((resolve, reject) => {
+  const chunks = [];
+  body.on('data', chunk => chunks.push(Buffer.from(chunk))).once('end', () => resolve(Buffer.concat(chunks))).once('error', reject);
+}));
+
+class S3StorageDriver {
+  constructor({ bucket, region = 'us-east-1', endpoint = null, accessKeyId, secretAccessKey, sessionToken = null, forcePathStyle = false, prefix = '', urlTtlSeconds = 3600 } = {}) {
+    if (!bucket || !accessKeyId || !secretAccessKey) throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    this.name = 's3';
+    this.bucket = bucket;
+    this.region = region;
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.credentials = { accessKeyId, secretAccessKey, sessionToken };
+    this.forcePathStyle = forcePathStyle;
+    this.prefix = prefix;
+    this.urlTtlSeconds = urlTtlSeconds;
+  }
+
+  // Path-style puts the bucket in the path; virtual-hosted style puts it in the hostname
+  bucketUrl() {
+    const base = this.endpoint.pathname.replace(/\/$/, '');
+    return this.forcePathStyle
+      ? `${this.endpoint.protocol}//${this.endpoint.host}${base}/${encode(this.bucket)}`
+      : `${this.endpoint.protocol}//${this.bucket}.${this.endpoint.host}${base}`;
+  }
+
+  objectUrl(key) {
+    return `${this.bucketUrl()}/${`${this.prefix}${assertKey(key)}`.split('/').map(encode).join('/')}`;
+  }
+
+  // Returns the signature for a canonical request; headers must already be lower-cased
+  sign({ method, url, query, headers, payloadHash, date }) {
+    const { pathname } = new URL(url);
+    const dateStamp = amzDate(date).slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const names = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method, pathname || '/', this.canonicalQuery(query),
+      names.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''), names.join(';'), payloadHash
+    ].join('\n');
+    const stringToSign = [ALGORITHM, amzDate(date), scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${this.credentials.secretAccessKey}`, dateStamp), this.region));
+    return { signature: hmac(signingKey, stringToSign).toString('hex'), scope, signedHeaders: names.join(';') };
+  }
+
+  canonicalQuery(query = {}) {
+    return Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&');
+  }
+
+  async request(method, url, { query = {}, body = null, headers = {}, responseType = 'arraybuffer' } = {}) {
+    const date = new Date();
+    const payloadHash = body ? sha256(body) : sha256('');
+    const signed = { host: new URL(url).host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate(date), ...headers };
+    if (this.credentials.sessionToken) signed['x-amz-security-token'] = this.credentials.sessionToken;
+    const { signature, scope, signedHeaders } = this.sign({ method, url, query, headers: signed, payloadHash, date });
+    const queryString = this.canonicalQuery(query);
+    const { host, ...sent } = signed;
+    return axios({
+      method, url: queryString ? `${url}?${queryString}` : url, data: body, responseType,
+      headers: { ...sent, Authorization: `${ALGORITHM} Credential=${this.credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}` },
+      maxBodyLength: Infinity, maxContentLength: Infinity, validateStatus: () => true
+    });
+  }
+
+  failure(operation, key, response) {
+    return Object.assign(new Error(`S3 ${operation} failed for ${key || this.bucket} with HTTP ${response.status}`), { status: 502, code: 'STORAGE_ERROR' });
+  }
+
+  async put(key, body, options = {}) {
+    const data = await readBody(body);
+    const headers = options.contentType ? { 'content-type': options.contentType } : {};
+    const response = await this.request('PUT', this.objectUrl(key), { body: data, headers });
+    if (response.status >= 300) throw this.failure('put', key, response);
+    return { key, size: data.length };
+  }
+
+  async getStream(key, range = null) {
+    const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+    const response = await this.request('GET', this.objectUrl(key), { headers, responseType: 'stream' });
+    if (response.status === (range ? 206 : 200)) return response.data;
+    response.data.resume();
+    if (response.status === 404) throw notFound(key);
+    throw this.failure('get', key, response);
+  }
+
+  // S3 deletes are idempotent, so a HEAD decides whether anything was removed
+  async delete(key) {
+    const existed = (await this.stat(key)) !== null;
+    const response = await this.request('DELETE', this.objectUrl(key));
+    if (response.status >= 300 && response.status !== 404) throw this.failure('delete', key, response);
+    return existed;
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken = null;
+    do {
+      const query = { 'list-type': '2', prefix: `${this.prefix}${prefix}` };
+      if (continuationToken) query['continuation-token'] = continuationToken;
+      const response = await this.request('GET', this.bucketUrl(), { query });
+      if (response.status >= 300) throw this.failure('list', null, response);
+      const xml = Buffer.from(response.data).toString('utf8');
+      for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const key = unescapeXml(xmlText(entry, 'Key')).slice(this.prefix.length);
+        if (!key.includes('/')) objects.push({ key, size: parseInt(xmlText(entry, 'Size')) || 0, lastModified: new Date(xmlText(entry, 'LastModified')) });
+      }
+      continuationToken = xmlText(xml, 'IsTruncated') === 'true' ? unescapeXml(xmlText(xml, 'NextContinuationToken') || '') : null;
+    } while (continuationToken);
+    return objects;
+  }
+
+  async stat(key) {
+    const response = await this.request('HEAD', this.objectUrl(key));
+    if (response.status === 404) return null;
+    if (response.status >= 300) throw this.failure('stat', key, response);
+    return { key, size: parseInt(response.headers['content-length']) || 0, lastModified: new Date(response.headers['last-modified']) };
+  }
+
+  getUrl(key, { expiresIn = this.urlTtlSeconds, date = new Date() } = {}) {
+    const url = this.objectUrl(key);
+    const scope = `${amzDate(date).slice(0, 8)}/${this.region}/s3/aws4_request`;
+    const query = {
+      'X-Amz-Algorithm': ALGORITHM, 'X-Amz-Credential': `${this.credentials.accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate(date), 'X-Amz-Expires': String(expiresIn), 'X-Amz-SignedHeaders': 'host'
+    };
+    if (this.credentials.sessionToken) query['X-Amz-Security-Token'] = this.credentials.sessionToken;
+    const { signature } = this.sign({ method: 'GET', url, query, headers: { host: new URL(url).host }, payloadHash: UNSIGNED_PAYLOAD, date });
+    return `${url}?${this.canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+  }
+}
+
+module.exports = S3StorageDriver;
\ No newline at end of file
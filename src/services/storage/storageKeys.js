@@ -0,0 +1,14 @@
+// BIG BROTHER COMPLIANT - Storage Key Helpers
+// Shared by every driver so keys mean the same thing on disk and in a bucket.
+
+// Keys are plain filenames; anything that could escape the driver's namespace is rejected
+const assertKey = (key) => {
+  if (typeof key !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(key)) {
+    throw Object.assign(new Error(`Invalid storage key: ${key}`), { status: 400, code: 'INVALID_STORAGE_KEY' });
+  }
+  return key;
+};
+
+const notFound = (key) => Object.assign(new Error(`Stored file not found: ${key}`), { status: 404, code: 'FILE_NOT_FOUND' });
+
+module.exports = { assertKey, notFound };
\ No newline at end of file
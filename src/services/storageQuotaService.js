@@ -0,0 +1,122 @@
+// BIG BROTHER COMPLIANT - Storage Quota Service
+// Ledger of durable audio in storage_objects, summed for per-agent usage and quotas
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const storageConfig = require('../config/storageConfig');
+
+// Generated audio is named tts_<agentId>_<timestamp>.<ext> or longform_<agentId>_<timestamp>.<ext>
+const GENERATED_KEY = /^(?:tts|longform)_(.+)_\d+\.[^.]+$/;
+
+const quotaStatus = (bytes, { soft, hard }) => (hard && bytes >= hard ? 'hard_limit_exceeded' : soft && bytes >= soft ? 'soft_limit_exceeded' : 'ok');
+
+class StorageQuotaService {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    this.quotas = storageConfig.quotas;
+  }
+
+  // Re-recording a key (a retried save, a reconcile) updates it in place and keeps its first-seen time
+  async record(agentId, kind, objects) {
+    const now = Date.now();
+    for (const { key, size } of objects) {
+      await database.executeUpdate('INSERT INTO storage_objects (key, agent_id, kind, size, created_at) VALUES (?, ?, ?, ?, ?) ON CONFLICT(key) DO UPDATE SET agent_id = excluded.agent_id, kind = excluded.kind, size = excluded.size',
+        [key, agentId || null, kind, size || 0, now]);
+    }
+  }
+
+  async release(key) {
+    await database.executeUpdate('DELETE FROM storage_objects WHERE key = ?', [key]);
+  }
+
+  async listAgentKeys(agentId) {
+    return (await database.executeQuery('SELECT key FROM storage_objects WHERE agent_id = ?', [agentId])).map(row => row.key);
+  }
+
+  async getAgentUsage(agentId) {
+    const rows = await database.executeQuery('SELECT kind, COUNT(*) AS count, COALESCE(SUM(size), 0) AS bytes FROM storage_objects WHERE agent_id = ? GROUP BY kind', [agentId]);
+    const byKind = (kind) => { const row = rows.find(entry => entry.kind === kind); return { count: row ? row.count : 0, bytes: row ? row.bytes : 0 }; };
+    const bytes = rows.reduce((sum, row) => sum + row.bytes, 0);
+    return { bytes, samples: byKind('sample'), generated: byKind('generated'), quota: this.quotas.agent, status: quotaStatus(bytes, this.quotas.agent) };
+  }
+
+  async getGlobalUsage() {
+    const [totals] = await database.executeQuery('SELECT COUNT(*) AS objects, COALESCE(SUM(size), 0) AS bytes, COALESCE(SUM(CASE WHEN agent_id IS NULL THEN size END), 0) AS unattributed FROM storage_objects');
+    const [{ agents }] = await database.executeQuery('SELECT COUNT(DISTINCT agent_id) AS agents FROM storage_objects WHERE agent_id IS NOT NULL');
+    return { bytes: totals.bytes, objects: totals.objects, agents, unattributedBytes: totals.unattributed, quota: this.quotas.global, status: quotaStatus(totals.bytes, this.quotas.global) };
+  }
+
+  // Every local directory audio passes through: multer writes to temp, and the local driver stores under its root
+  async getFilesystems() {
+    const dirs = [...new Set([storageConfig.tempDir, ...(storageConfig.driver === 'local' ? [storageConfig.local.root] : [])].map(dir => path.resolve(dir)))];
+    return Promise.all(dirs.map(async (dir) => {
+      const stats = await fs.statfs(dir);
+      const totalBytes = stats.blocks * stats.bsize;
+      const availableBytes = stats.bavail * stats.bsize;
+      return {
+        path: dir, totalBytes, freeBytes: stats.bfree * stats.bsize, availableBytes, usedPercent: totalBytes > 0 ? Math.round((1 - stats.bfree / stats.blocks) * 1000) / 10 : 0,
+        minFreeBytes: this.quotas.minFreeBytes, status: this.quotas.minFreeBytes && availableBytes < this.quotas.minFreeBytes ? 'low' : 'ok'
+      };
+    }));
+  }
+
+  // Health check shape shared by the health routers: quota usage from the ledger plus free space on every filesystem audio is written to
+  async getHealth() {
+    try {
+      const [usage, filesystems] = await Promise.all([this.getGlobalUsage(), this.getFilesystems()]);
+      const lowDisk = filesystems.some(filesystem => filesystem.status === 'low');
+      const status = usage.status === 'hard_limit_exceeded' || lowDisk ? 'unhealthy' : usage.status === 'soft_limit_exceeded' ? 'warning' : 'healthy';
+      const message = lowDisk ? 'Filesystem free space below minimum' : usage.status === 'ok' ? 'Storage usage within quota' : `Global storage ${usage.status.replace(/_/g, ' ')}`;
+      return { status, usage, agentQuota: this.quotas.agent, filesystems, message };
+    } catch (error) {
+      return { status: 'unhealthy', error: error.message, message: 'Storage usage check failed' };
+    }
+  }
+
+  // incomingBytes is 0 when the size is unknown (synthesis), which still refuses once a hard limit has been reached
+  async assertCapacity(agentId, incomingBytes = 0) {
+    const reject = (message, code, details) => Object.assign(new Error(message), { status: 507, code, ...details });
+    const checks = [['global', await this.getGlobalUsage()], ...(agentId ? [['agent', await this.getAgentUsage(agentId)]] : [])];
+    for (const [scope, usage] of checks) {
+      const after = usage.bytes + incomingBytes;
+      if (usage.quota.hard && (after > usage.quota.hard || usage.bytes >= usage.quota.hard)) {
+        logger.warn('Storage hard quota exceeded, write rejected', { scope, agentId, bytes: usage.bytes, incomingBytes, hard: usage.quota.hard });
+        throw reject(`Storage quota exceeded: ${scope === 'agent' ? `agent ${agentId}` : 'the service'} uses ${usage.bytes} of ${usage.quota.hard} bytes`, 'STORAGE_QUOTA_EXCEEDED', { scope, usedBytes: usage.bytes, limitBytes: usage.quota.hard });
+      }
+      if (usage.quota.soft && after >= usage.quota.soft) logger.warn('Storage soft quota exceeded', { scope, agentId, bytes: after, soft: usage.quota.soft });
+    }
+    if (!this.quotas.minFreeBytes) return;
+    for (const filesystem of await this.getFilesystems()) {
+      if (filesystem.availableBytes - incomingBytes < this.quotas.minFreeBytes) {
+        logger.warn('Filesystem free space below minimum, write rejected', { path: filesystem.path, availableBytes: filesystem.availableBytes, incomingBytes, minFreeBytes: this.quotas.minFreeBytes });
+        throw reject(`Insufficient storage: ${filesystem.availableBytes} bytes free on ${filesystem.path}, ${this.quotas.minFreeBytes} must stay free`, 'DISK_SPACE_LOW', { scope: 'filesystem' });
+      }
+    }
+  }
+
+  // Rebuilds the ledger from the storage listing so objects written before it existed, or removed
+  // out of band, are accounted for. Rows added while the listing runs are left alone.
+  async reconcile(storage) {
+    const startedAt = Date.now();
+    const samples = new Map();
+    for (const row of await database.executeQuery('SELECT agent_id, file_path, processed_path FROM agent_samples')) {
+      for (const ref of [row.file_path, row.processed_path].filter(Boolean)) samples.set(path.basename(ref), row.agent_id);
+    }
+    const listed = await storage.list();
+    const kinds = { sample: 0, generated: 0, unknown: 0 };
+    for (const object of listed) {
+      const generated = object.key.match(GENERATED_KEY);
+      const kind = samples.has(object.key) ? 'sample' : generated ? 'generated' : 'unknown';
+      kinds[kind]++;
+      await this.record(samples.get(object.key) || (generated && generated[1]), kind, [object]);
+    }
+    const keys = new Set(listed.map(object => object.key));
+    const stale = (await database.executeQuery('SELECT key FROM storage_objects WHERE created_at < ?', [startedAt])).filter(row => !keys.has(row.key));
+    for (const { key } of stale) await this.release(key);
+    logger.info('Storage usage reconciled', { objects: listed.length, ...kinds, removed: stale.length });
+    return { objects: listed.length, ...kinds, removed: stale.length, usage: await this.getGlobalUsage() };
+  }
+}
+
+module.exports = new StorageQuotaService();
\ No newline at end of file
@@ -0,0 +1,77 @@
+// BIG BROTHER COMPLIANT - Synthesis Cache Service
+// Content-addressed index: the same text, voice and settings resolve to the existing file
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const logger = require('../utils/logger');
+const voiceConfig = require('../config/voiceConfig');
+const audioManager = require('./audioManager');
+
+class SynthesisCache {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    this.config = voiceConfig.processingConfig.cache;
+    this.cache = new NodeCache({ stdTTL: this.config.audioTtl, checkperiod: Math.max(60, Math.round(this.config.audioTtl / 10)), useClones: false });
+    this.metrics = { hits: 0, misses: 0, sets: 0, evictions: 0 };
+    this.cache.on('expired', () => { this.metrics.evictions++; });
+  }
+
+  normalizeText(text) { return text.normalize('NFC').replace(/\s+/g, ' ').trim(); }
+
+  buildKey(text, voiceId, settings, outputFormat = null) {
+    const validated = voiceConfig.validateVoiceSettings(settings);
+    const canonicalSettings = Object.keys(validated).sort().map(key => [key, validated[key]]);
+    return crypto.createHash('sha256').update(JSON.stringify([this.normalizeText(text), voiceId, canonicalSettings, outputFormat])).digest('hex');
+  }
+
+  async get(key) {
+    if (!this.config.enabled) return null;
+    const entry = this.cache.get(key);
+    if (entry) {
+      const exists = await audioManager.exists(entry.filename).catch(() => false);
+      if (exists) {
+        this.metrics.hits++;
+        logger.voiceProcessing('Synthesis cache hit', { key, agentId: entry.agentId, filename: entry.filename });
+        return entry;
+      }
+      this.cache.del(key);
+      this.metrics.evictions++;
+    }
+    this.metrics.misses++;
+    return null;
+  }
+
+  set(key, entry) {
+    if (!this.config.enabled) return false;
+    if (!this.cache.has(key) && this.cache.keys().length >= this.config.maxSize) this.evictOldest();
+    this.cache.set(key, { ...entry, key, cachedAt: Date.now() });
+    this.metrics.sets++;
+    return true;
+  }
+
+  evictOldest() {
+    const entries = Object.values(this.cache.mget(this.cache.keys()));
+    const oldest = entries.reduce((min, entry) => (!min || entry.cachedAt < min.cachedAt ? entry : min), null);
+    if (oldest) {
+      this.cache.del(oldest.key);
+      this.metrics.evictions++;
+    }
+  }
+
+  evictAgent(agentId) {
+    const keys = Object.values(this.cache.mget(this.cache.keys())).filter(entry => entry.agentId === agentId).map(entry => entry.key);
+    const evicted = this.cache.del(keys);
+    this.metrics.evictions += evicted;
+    logger.voiceProcessing('Synthesis cache evicted for agent', { agentId, evicted });
+    return evicted;
+  }
+
+  getStats() {
+    const lookups = this.metrics.hits + this.metrics.misses;
+    return {
+      enabled: this.config.enabled, entries: this.cache.keys().length, maxSize: this.config.maxSize, ttl: this.config.audioTtl,
+      ...this.metrics, hitRate: lookups ? Math.round((this.metrics.hits / lookups) * 1000) / 1000 : 0, bigBrotherCompliant: this.bigBrotherCompliant
+    };
+  }
+}
+
+module.exports = new SynthesisCache();
@@ -0,0 +1,74 @@
+// BIG BROTHER COMPLIANT - Synthesis Service
+const logger = require('../utils/logger');
+const voiceProcessor = require('./voiceProcessor');
+const audioManager = require('./audioManager');
+const synthesisCache = require('./synthesisCache');
+const jobProgress = require('./jobProgress');
+const storageQuotaService = require('./storageQuotaService');
+const downloadService = require('./downloadService');
+const eventBus = require('./eventBus');
+
+class SynthesisService {
+  constructor() { this.bigBrotherCompliant = true; }
+
+  // Queued generations and long-form chunks publish their own events
+  async synthesizeToFile({ publish = true, ...options }) {
+    try {
+      const result = await this.synthesize(options);
+      if (publish) this.publishCompleted(options.agentId, options.jobId, result);
+      return result;
+    } catch (error) {
+      if (publish) this.publishFailed(options.agentId, options.jobId, error, options.signal);
+      throw error;
+    }
+  }
+
+  async synthesize({ text, agentId, voiceId, settings = {}, signal, lane = 'interactive', jobId, outputFormat }) {
+    const startTime = Date.now();
+    const cacheKey = synthesisCache.buildKey(text, voiceId, settings, outputFormat);
+    const cached = await synthesisCache.get(cacheKey);
+    if (cached) {
+      const { filename, size } = cached;
+      jobProgress.record(jobId, 'saved', { kind: 'generated', filename, size, cached: true }, { final: true });
+      return this.formatResult({ ...cached, key: filename, cached: true }, startTime);
+    }
+
+    // Before the provider call, so a full quota costs no credits
+    await storageQuotaService.assertCapacity(agentId);
+    const result = await voiceProcessor.generateSpeech(text, voiceId, settings, { signal, lane, jobId, outputFormat });
+    const { audioStream, extension, contentType, settings: applied } = result;
+    const filename = `tts_${agentId}_${Date.now()}${extension}`;
+    const { key, size } = await audioManager.saveGeneratedAudio(audioStream, filename, { jobId, contentType, agentId });
+    const entry = { filename, size, contentType, outputFormat: result.outputFormat, settings: applied };
+    synthesisCache.set(cacheKey, { agentId, voiceId, ...entry });
+    logger.voiceProcessing('Synthesized audio saved', { agentId, filename, size, cacheKey });
+    return this.formatResult({ ...entry, key, cached: false }, startTime);
+  }
+
+  formatResult({ filename, key, size, contentType, outputFormat, settings, cached }, startTime) {
+    return {
+      filename, key, size, contentType, outputFormat, settings, cached,
+      duration: Date.now() - startTime,
+      bigBrotherCompliant: this.bigBrotherCompliant
+    };
+  }
+
+  publishCompleted(agentId, jobId, { filename, size, contentType, outputFormat, cached }) {
+    const audioUrl = downloadService.createUrl(filename, { agentId });
+    eventBus.publish('synthesis.completed', {
+      synthesis: {
+        agentId, jobId: jobId || null, filename, audioUrl, size, contentType, outputFormat: outputFormat || null, cached
+      }
+    });
+  }
+
+  // A client that hung up cancelled the synthesis; that is not a failure
+  publishFailed(agentId, jobId, error, signal) {
+    if (signal?.aborted) return;
+    eventBus.publish('synthesis.failed', {
+      synthesis: { agentId, jobId: jobId || null, error: error.message, code: error.code || null }
+    });
+  }
+}
+
+module.exports = new SynthesisService();
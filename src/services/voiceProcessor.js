@@ -1,10 +1,17 @@
 // BIG BROTHER COMPLIANT - Voice Processor Service
-const axios = require('axios');
-const FormData = require('form-data');
-const fs = require('fs');
-const path = require('path');
+// In-memory queue: sync synthesis, streams and clones are not persisted and get a 503 on shutdown
 const logger = require('../utils/logger');
 const voiceConfig = require('../config/voiceConfig');
+const { createProvider } = require('./providers');
+const RetryPolicy = require('./retryPolicy');
+const { v4: uuidv4 } = require('uuid');
+const { CircuitBreaker } = require('./circuitBreaker');
+const eventBus = require('./eventBus');
+const jobProgress = require('./jobProgress');
+const { parseOutputFormat, negotiateFormat, transcodeAudio } = require('../utils/audioFormats');
+
+// Lanes in priority order: interactive synthesis always runs ahead of clones and batch work
+const QUEUE_LANES = ['interactive', 'clone', 'batch'];
 
 class VoiceProcessor {
   constructor() {
@@ -12,17 +19,25 @@ class VoiceProcessor {
     this.activeRequests = new Map();
     this.requestQueue = [];
     this.maxConcurrent = voiceConfig.elevenLabsConfig.maxConcurrentRequests;
+    this.provider = createProvider(voiceConfig.providerConfig.name);
+    this.retryPolicy = new RetryPolicy(voiceConfig.elevenLabsConfig);
+    this.circuitBreaker = new CircuitBreaker(`${this.provider.displayName} voice provider`, voiceConfig.elevenLabsConfig.circuitBreaker);
   }
 
   async processQueue() {
     if (this.activeRequests.size >= this.maxConcurrent || this.requestQueue.length === 0) return;
     const request = this.requestQueue.shift();
     if (request) {
+      this.releaseQueueHooks(request);
       this.activeRequests.set(request.id, request);
+      jobProgress.record(request.jobId, 'started', { lane: request.lane, operation: request.operation, waitedMs: Date.now() - request.enqueuedAt });
+      this.reportQueuePositions();
       try {
-        const result = await request.execute();
+        const result = await this.circuitBreaker.execute(request.execute);
+        jobProgress.record(request.jobId, 'upstream-responded', { operation: request.operation }, { final: request.operation === 'clone' });
         request.resolve(result);
       } catch (error) {
+        jobProgress.record(request.jobId, 'failed', { operation: request.operation, error: error.message, code: error.code });
         request.reject(error);
       } finally {
         this.activeRequests.delete(request.id);
@@ -31,128 +46,184 @@ class VoiceProcessor {
     }
   }
 
-  async queueRequest(executeFunction) {
+  async queueRequest(executeFunction, options = {}) {
+    if (this.shuttingDown) throw this.createShutdownError();
+    if (this.circuitBreaker.isOpen()) throw this.circuitBreaker.createOpenError();
+    if (options.signal?.aborted) throw this.createQueueError('Request cancelled before it was queued', 499, 'REQUEST_CANCELLED');
+    const lane = QUEUE_LANES.includes(options.lane) ? options.lane : 'interactive';
+    const enqueuedAt = Date.now();
+    const timeout = options.timeout ?? voiceConfig.processingConfig.queue.deadlines[lane];
+    const deadline = options.deadline || (timeout > 0 ? enqueuedAt + timeout : null);
     return new Promise((resolve, reject) => {
-      const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      this.requestQueue.push({ id: requestId, execute: executeFunction, resolve, reject });
+      const request = {
+        id: options.requestId || `req-${uuidv4()}`, jobId: options.jobId, operation: options.operation, lane, priority: QUEUE_LANES.indexOf(lane), enqueuedAt, deadline, signal: options.signal,
+        execute: () => this.retryPolicy.execute(executeFunction, options), resolve, reject
+      };
+      if (deadline) request.deadlineTimer = setTimeout(() => this.dropQueuedRequest(request, this.createQueueError('Request deadline exceeded while queued', 504, 'QUEUE_DEADLINE_EXCEEDED')), Math.max(0, deadline - enqueuedAt));
+      if (request.signal) {
+        request.onAbort = () => this.dropQueuedRequest(request, this.createQueueError('Request cancelled by client', 499, 'REQUEST_CANCELLED'));
+        request.signal.addEventListener('abort', request.onAbort, { once: true });
+      }
+      const index = this.requestQueue.findIndex(queued => queued.priority > request.priority);
+      this.requestQueue.splice(index === -1 ? this.requestQueue.length : index, 0, request);
+      this.reportQueuePositions();
       this.processQueue();
     });
   }
 
-  async createVoiceClone(name, description, audioFilePath) {
+  dropQueuedRequest(request, error) {
+    const index = this.requestQueue.indexOf(request);
+    if (index === -1) return false;
+    this.requestQueue.splice(index, 1);
+    this.releaseQueueHooks(request);
+    logger.warn('Queued voice request dropped', { requestId: request.id, lane: request.lane, code: error.code, waitedMs: Date.now() - request.enqueuedAt });
+    jobProgress.record(request.jobId, 'failed', { operation: request.operation, error: error.message, code: error.code });
+    this.reportQueuePositions();
+    request.reject(error);
+    return true;
+  }
+
+  reportQueuePositions() {
+    this.requestQueue.forEach((request, index) => {
+      if (!request.jobId || request.reportedPosition === index + 1) return;
+      request.reportedPosition = index + 1;
+      jobProgress.record(request.jobId, 'queued', { position: index + 1, queueLength: this.requestQueue.length, lane: request.lane, operation: request.operation });
+    });
+  }
+
+  releaseQueueHooks(request) {
+    clearTimeout(request.deadlineTimer);
+    if (request.onAbort) request.signal.removeEventListener('abort', request.onAbort);
+  }
+
+  cancelRequest(requestId) {
+    const request = this.requestQueue.find(queued => queued.id === requestId);
+    return request ? this.dropQueuedRequest(request, this.createQueueError('Request cancelled', 499, 'REQUEST_CANCELLED')) : false;
+  }
+
+  // Calls already running are left to finish; everything still queued is rejected
+  shutdown() {
+    this.shuttingDown = true;
+    const queued = [...this.requestQueue];
+    queued.forEach(request => this.dropQueuedRequest(request, this.createShutdownError()));
+    logger.info('Voice processor shut down', { dropped: queued.length, active: this.activeRequests.size });
+    return queued.length;
+  }
+
+  createShutdownError() {
+    return this.createQueueError('Service is shutting down; retry the request', 503, 'SERVICE_SHUTTING_DOWN');
+  }
+
+  createQueueError(message, status, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+
+  async createVoiceClone(name, description, audioFilePaths, options = {}) {
     const startTime = Date.now();
+    const filePaths = [].concat(audioFilePaths || []).filter(Boolean);
     try {
-      logger.voiceProcessing('Starting voice clone creation', { name, audioFilePath });
-      const result = await this.queueRequest(async () => {
-        const formData = new FormData();
-        formData.append('name', name);
-        if (description) formData.append('description', description);
-        formData.append('files', fs.createReadStream(audioFilePath), path.basename(audioFilePath));
-        const response = await axios.post(
-          `${voiceConfig.elevenLabsConfig.baseUrl}${voiceConfig.elevenLabsConfig.endpoints.voiceClone}`,
-          formData,
-          { headers: { ...voiceConfig.getElevenLabsHeaders(), ...formData.getHeaders() }, timeout: voiceConfig.elevenLabsConfig.timeout }
-        );
-        return response.data;
-      });
+      logger.voiceProcessing('Starting voice clone creation', { name, samples: filePaths.length, provider: this.provider.name });
+      // cloneVoice opens fresh file streams on every call, so retried uploads never reuse a consumed stream
+      const result = await this.queueRequest(() => this.provider.cloneVoice({ name, description, filePaths }), { operation: 'clone', idempotent: false, lane: 'clone', jobId: options.jobId });
       const duration = Date.now() - startTime;
-      logger.performance('Voice clone created', duration, { name, voiceId: result.voice_id });
-      return { success: true, voiceId: result.voice_id, name: result.name, duration, bigBrotherCompliant: this.bigBrotherCompliant };
+      logger.performance('Voice clone created', duration, { name, voiceId: result.voiceId });
+      eventBus.publish('voice.cloned', { voiceId: result.voiceId, name: result.name, provider: this.provider.name, duration });
+      return { success: true, voiceId: result.voiceId, name: result.name, duration, bigBrotherCompliant: this.bigBrotherCompliant };
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.error('Voice clone creation failed', { error: error.message, name, duration, status: error.response?.status });
-      throw this.handleElevenLabsError(error);
+      throw this.handleProviderError(error);
     }
   }
 
-  async generateSpeech(text, voiceId, settings = {}) {
+  async generateSpeech(text, voiceId, settings = {}, options = {}) {
     const startTime = Date.now();
     try {
-      logger.voiceProcessing('Starting speech generation', { voiceId, textLength: text.length });
+      logger.voiceProcessing('Starting speech generation', { voiceId, textLength: text.length, provider: this.provider.name });
       const validatedSettings = voiceConfig.validateVoiceSettings(settings);
-      const result = await this.queueRequest(async () => {
-        return await axios.post(
-          `${voiceConfig.elevenLabsConfig.baseUrl}${voiceConfig.elevenLabsConfig.endpoints.textToSpeech}/${voiceId}`,
-          { text, voice_settings: validatedSettings },
-          { headers: voiceConfig.getElevenLabsHeaders(), timeout: voiceConfig.elevenLabsConfig.timeout, responseType: 'stream' }
-        );
+      const target = options.outputFormat ? parseOutputFormat(options.outputFormat) : null;
+      const plan = target ? negotiateFormat(target, this.provider.outputFormats) : { transcode: false };
+      const result = await this.queueRequest(() => this.provider.synthesize({ text, voiceId, settings: validatedSettings, outputFormat: plan.source }, { signal: options.signal }), {
+        operation: 'synthesize', lane: options.lane, signal: options.signal, timeout: options.timeout, deadline: options.deadline, jobId: options.jobId
       });
+      const audioStream = plan.transcode ? await transcodeAudio(result.audioStream, plan.source, target) : result.audioStream;
       const duration = Date.now() - startTime;
-      logger.performance('Speech generated', duration, { voiceId, textLength: text.length });
-      return { success: true, audioStream: result.data, duration, settings: validatedSettings, bigBrotherCompliant: this.bigBrotherCompliant };
+      logger.performance('Speech generated', duration, { voiceId, textLength: text.length, outputFormat: target?.id, transcoded: plan.transcode });
+      return {
+        success: true, audioStream, contentType: target ? target.contentType : result.contentType, extension: target ? target.extension : result.extension,
+        outputFormat: target ? target.id : result.format, duration, settings: validatedSettings, bigBrotherCompliant: this.bigBrotherCompliant
+      };
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.error('Speech generation failed', { error: error.message, voiceId, textLength: text.length, duration, status: error.response?.status });
-      throw this.handleElevenLabsError(error);
+      throw this.handleProviderError(error);
     }
   }
 
   async getVoices() {
     try {
-      logger.voiceProcessing('Fetching available voices');
-      const result = await this.queueRequest(async () => {
-        const response = await axios.get(
-          `${voiceConfig.elevenLabsConfig.baseUrl}${voiceConfig.elevenLabsConfig.endpoints.voices}`,
-          { headers: voiceConfig.getElevenLabsHeaders(), timeout: voiceConfig.elevenLabsConfig.timeout }
-        );
-        return response.data;
-      });
-      logger.voiceProcessing('Voices fetched successfully', { count: result.voices?.length || 0 });
-      return { success: true, voices: result.voices || [], bigBrotherCompliant: this.bigBrotherCompliant };
+      logger.voiceProcessing('Fetching available voices', { provider: this.provider.name });
+      const voices = await this.queueRequest(() => this.provider.listVoices(), { operation: 'list-voices' });
+      logger.voiceProcessing('Voices fetched successfully', { count: voices.length });
+      return { success: true, voices, bigBrotherCompliant: this.bigBrotherCompliant };
     } catch (error) {
       logger.error('Failed to fetch voices', { error: error.message });
-      throw this.handleElevenLabsError(error);
+      throw this.handleProviderError(error);
     }
   }
 
   async deleteVoice(voiceId) {
     try {
-      logger.voiceProcessing('Deleting voice', { voiceId });
-      await this.queueRequest(async () => {
-        await axios.delete(
-          `${voiceConfig.elevenLabsConfig.baseUrl}${voiceConfig.elevenLabsConfig.endpoints.voiceDelete}/${voiceId}`,
-          { headers: voiceConfig.getElevenLabsHeaders(), timeout: voiceConfig.elevenLabsConfig.timeout }
-        );
-      });
+      logger.voiceProcessing('Deleting voice', { voiceId, provider: this.provider.name });
+      await this.queueRequest(() => this.provider.deleteVoice(voiceId), { operation: 'delete-voice' });
       logger.voiceProcessing('Voice deleted successfully', { voiceId });
+      eventBus.publish('voice.deleted', { voiceId, provider: this.provider.name });
       return { success: true, voiceId, bigBrotherCompliant: this.bigBrotherCompliant };
     } catch (error) {
       logger.error('Voice deletion failed', { error: error.message, voiceId });
-      throw this.handleElevenLabsError(error);
+      throw this.handleProviderError(error);
     }
   }
 
   async getUserInfo() {
     try {
-      const result = await this.queueRequest(async () => {
-        const response = await axios.get(
-          `${voiceConfig.elevenLabsConfig.baseUrl}${voiceConfig.elevenLabsConfig.endpoints.user}`,
-          { headers: voiceConfig.getElevenLabsHeaders(), timeout: voiceConfig.elevenLabsConfig.timeout }
-        );
-        return response.data;
-      });
+      const result = await this.queueRequest(() => this.provider.getAccountInfo(), { operation: 'account-info' });
       return { success: true, userInfo: result, bigBrotherCompliant: this.bigBrotherCompliant };
     } catch (error) {
       logger.error('Failed to fetch user info', { error: error.message });
-      throw this.handleElevenLabsError(error);
+      throw this.handleProviderError(error);
     }
   }
 
-  handleElevenLabsError(error) {
+  handleProviderError(error) {
+    if (error.status && !error.response) return error;
     const status = error.response?.status;
     const message = error.response?.data?.detail || error.message;
+    const providerName = this.provider.displayName;
     const errorMap = {
-      401: 'Invalid ElevenLabs API key',
-      402: 'ElevenLabs quota exceeded',
+      401: `Invalid ${providerName} API key`,
+      402: `${providerName} quota exceeded`,
       422: `Invalid request: ${message}`,
-      429: 'ElevenLabs rate limit exceeded',
-      500: 'ElevenLabs server error'
+      429: `${providerName} rate limit exceeded`,
+      500: `${providerName} server error`
     };
-    return new Error(errorMap[status] || `ElevenLabs API error: ${message}`);
+    return new Error(errorMap[status] || `${providerName} API error: ${message}`);
   }
 
   getQueueStatus() {
-    return { activeRequests: this.activeRequests.size, queuedRequests: this.requestQueue.length, maxConcurrent: this.maxConcurrent, bigBrotherCompliant: this.bigBrotherCompliant };
+    const now = Date.now();
+    const oldestAge = (requests) => requests.length ? now - Math.min(...requests.map(request => request.enqueuedAt)) : 0;
+    const lanes = Object.fromEntries(QUEUE_LANES.map(lane => {
+      const queued = this.requestQueue.filter(request => request.lane === lane);
+      return [lane, { depth: queued.length, oldestAgeMs: oldestAge(queued) }];
+    }));
+    return {
+      activeRequests: this.activeRequests.size, queuedRequests: this.requestQueue.length, maxConcurrent: this.maxConcurrent, lanes, oldestQueuedAgeMs: oldestAge(this.requestQueue),
+      provider: this.provider.name, circuitBreaker: this.circuitBreaker.getStatus(), bigBrotherCompliant: this.bigBrotherCompliant
+    };
   }
 }
 
@@ -0,0 +1,112 @@
+// BIG BROTHER COMPLIANT - Voice Version Service
+// Numbered clone versions per agent; agents.voice_id mirrors the active one
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const voiceProcessor = require('./voiceProcessor');
+const eventBus = require('./eventBus');
+
+class VoiceVersionService {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    this.maxVersions = parseInt(process.env.MAX_VOICE_VERSIONS) || 5;
+  }
+
+  async recordVersion(agentId, { voiceId, sampleIds = [], settings = {}, reason = 'clone' }) {
+    const [{ latest }] = await database.executeQuery('SELECT MAX(version) as latest FROM voice_versions WHERE agent_id = ?', [agentId]);
+    let version = (latest || 0) + 1;
+    // Agents cloned before versioning existed keep their original voice as version 1
+    const [legacy] = latest ? [] : await database.executeQuery('SELECT voice_id, settings FROM agents WHERE id = ? AND voice_id IS NOT NULL AND voice_id != ?', [agentId, voiceId]);
+    if (legacy) await this.insertVersion(agentId, version++, { voiceId: legacy.voice_id, settings: JSON.parse(legacy.settings || '{}'), reason: 'legacy' });
+    await this.insertVersion(agentId, version, { voiceId, sampleIds, settings, reason });
+    await this.activate(agentId, version);
+    await this.pruneVersions(agentId);
+    logger.agentOperation('Voice version recorded', { agentId, version, voiceId, reason, samples: sampleIds.length });
+    return this.getVersion(agentId, version);
+  }
+
+  async insertVersion(agentId, version, { voiceId, sampleIds = [], settings = {}, reason }) {
+    await database.executeUpdate('INSERT INTO voice_versions (id, agent_id, version, voice_id, provider, sample_ids, settings, reason, active, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?)',
+      [`vv_${uuidv4()}`, agentId, version, voiceId, voiceProcessor.provider.name, JSON.stringify(sampleIds), JSON.stringify(settings), reason, new Date().toISOString()]);
+  }
+
+  async activate(agentId, version) {
+    const now = new Date().toISOString();
+    const target = (await this.getVersion(agentId, version)).version;
+    await database.executeUpdate('UPDATE voice_versions SET active = CASE WHEN version = ? THEN 1 ELSE 0 END, activated_at = CASE WHEN version = ? THEN ? ELSE activated_at END WHERE agent_id = ?',
+      [target.version, target.version, now, agentId]);
+    await database.executeUpdate('UPDATE agents SET voice_id = ?, updated_at = ? WHERE id = ?', [target.voiceId, now, agentId]);
+    return target;
+  }
+
+  async listVersions(agentId) {
+    const rows = await database.executeQuery('SELECT * FROM voice_versions WHERE agent_id = ? ORDER BY version DESC', [agentId]);
+    const versions = rows.map(row => this.formatVersion(row));
+    return { success: true, versions, activeVersion: versions.find(version => version.active)?.version || null };
+  }
+
+  async getVersion(agentId, version) {
+    const number = parseInt(version);
+    if (!Number.isInteger(number) || number < 1) throw Object.assign(new Error('Validation failed: voice version must be a positive integer'), { status: 400 });
+    const [row] = await database.executeQuery('SELECT * FROM voice_versions WHERE agent_id = ? AND version = ?', [agentId, number]);
+    if (!row) throw Object.assign(new Error(`Voice version ${number} not found`), { status: 404, code: 'VOICE_VERSION_NOT_FOUND' });
+    return { success: true, version: this.formatVersion(row) };
+  }
+
+  // Request-level pinning: a version number selects that version's provider voice
+  async resolveVoiceId(agent, version) {
+    if (version === undefined || version === null || version === '') return agent.voiceId;
+    return (await this.getVersion(agent.id, version)).version.voiceId;
+  }
+
+  // Without an explicit version, rolls back to the newest version older than the active one
+  async rollback(agentId, version) {
+    const { versions, activeVersion } = await this.listVersions(agentId);
+    const targetVersion = version ?? versions.find(candidate => candidate.version < activeVersion)?.version;
+    if (!targetVersion) throw Object.assign(new Error('No earlier voice version to roll back to'), { status: 409, code: 'NO_PREVIOUS_VERSION' });
+    const target = await this.activate(agentId, targetVersion);
+    logger.agentOperation('Voice version rolled back', { agentId, from: activeVersion, to: target.version, voiceId: target.voiceId });
+    eventBus.publish('agent.updated', { agent: { id: agentId, voiceId: target.voiceId, voiceVersion: target.version }, reason: 'rollback' });
+    return { success: true, previousVersion: activeVersion, version: { ...target, active: true } };
+  }
+
+  async pruneVersions(agentId) {
+    const stale = await database.executeQuery('SELECT * FROM voice_versions WHERE agent_id = ? AND active = 0 ORDER BY version DESC LIMIT -1 OFFSET ?', [agentId, Math.max(0, this.maxVersions - 1)]);
+    for (const row of stale) {
+      try {
+        await this.deleteProviderVoice(agentId, row);
+      } catch (error) {
+        logger.warn('Failed to prune voice version', { agentId, version: row.version, voiceId: row.voice_id, error: error.message });
+      }
+    }
+  }
+
+  // Removes every provider voice the agent has used; rows are dropped as each delete succeeds
+  // so a retried agent deletion only revisits the voices that are still left.
+  async deleteAgentVoices(agentId, currentVoiceId) {
+    const rows = await database.executeQuery('SELECT * FROM voice_versions WHERE agent_id = ? ORDER BY version', [agentId]);
+    const failures = [];
+    for (const row of rows) await this.deleteProviderVoice(agentId, row).catch(error => failures.push(`${row.voice_id}: ${error.message}`));
+    if (currentVoiceId && !rows.some(row => row.voice_id === currentVoiceId)) {
+      await voiceProcessor.deleteVoice(currentVoiceId).catch(error => failures.push(`${currentVoiceId}: ${error.message}`));
+    }
+    if (failures.length > 0) throw Object.assign(new Error(`Failed to delete provider voices: ${failures.join('; ')}`), { status: 502, code: 'VOICE_CLEANUP_FAILED' });
+    return rows.length;
+  }
+
+  async deleteProviderVoice(agentId, row) {
+    const shared = await database.executeQuery('SELECT COUNT(*) as count FROM voice_versions WHERE voice_id = ? AND id != ?', [row.voice_id, row.id]);
+    if (shared[0].count === 0) await voiceProcessor.deleteVoice(row.voice_id);
+    await database.executeUpdate('DELETE FROM voice_versions WHERE id = ?', [row.id]);
+    logger.agentOperation('Voice version removed', { agentId, version: row.version, voiceId: row.voice_id });
+  }
+
+  formatVersion(row) {
+    return {
+      id: row.id, agentId: row.agent_id, version: row.version, voiceId: row.voice_id, provider: row.provider, sampleIds: JSON.parse(row.sample_ids || '[]'),
+      settings: JSON.parse(row.settings || '{}'), reason: row.reason, active: row.active === 1, createdAt: row.created_at, activatedAt: row.activated_at
+    };
+  }
+}
+
+module.exports = new VoiceVersionService();
\ No newline at end of file
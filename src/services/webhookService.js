@@ -0,0 +1,149 @@
+// BIG BROTHER COMPLIANT - Webhook Service
+// Signed webhook delivery on the job queue; private targets need WEBHOOK_ALLOWED_HOSTS
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { assertPublicUrl, guardedLookup } = require('../utils/networkTargets');
+const database = require('../config/database');
+const eventBus = require('./eventBus');
+const jobQueue = require('./jobQueue');
+
+class WebhookService {
+  constructor() {
+    this.bigBrotherCompliant = true;
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+    this.agents = { httpAgent: new http.Agent({ lookup: guardedLookup }), httpsAgent: new https.Agent({ lookup: guardedLookup }) };
+    jobQueue.registerHandler('webhook-delivery', (payload, job) => this.deliver(payload.deliveryId, job));
+    eventBus.on('*', event => this.dispatchEvent(event));
+  }
+
+  validateSubscription({ url, events }) {
+    const errors = [];
+    let parsed = null;
+    try { parsed = new URL(url); } catch (error) { errors.push('URL must be a valid absolute URL'); }
+    if (parsed && !['http:', 'https:'].includes(parsed.protocol)) errors.push('URL must use http or https');
+    if (!Array.isArray(events) || events.length === 0) errors.push('Events must be a non-empty array');
+    else {
+      const unknown = events.filter(event => event !== '*' && !eventBus.lifecycleEvents.includes(event));
+      if (unknown.length > 0) errors.push(`Unknown events: ${unknown.join(', ')}. Allowed: ${eventBus.lifecycleEvents.join(', ')}, *`);
+    }
+    return errors;
+  }
+
+  async createSubscription({ url, events, secret, description }) {
+    const errors = this.validateSubscription({ url, events });
+    if (errors.length > 0) throw new Error(`Validation failed: ${errors.join(', ')}`);
+    await assertPublicUrl(url);
+    const subscription = { id: `whs_${uuidv4()}`, secret: secret || crypto.randomBytes(24).toString('hex') };
+    await database.executeUpdate('INSERT INTO webhook_subscriptions (id, url, secret, events, description, active, created_at) VALUES (?, ?, ?, ?, ?, 1, ?)',
+      [subscription.id, url, subscription.secret, JSON.stringify([...new Set(events)]), description || '', new Date().toISOString()]);
+    logger.info('Webhook subscription created', { subscriptionId: subscription.id, url, events });
+    return { success: true, subscription: { ...(await this.getSubscription(subscription.id)).subscription, secret: subscription.secret } };
+  }
+
+  async getSubscription(subscriptionId) {
+    const [row] = await database.executeQuery('SELECT * FROM webhook_subscriptions WHERE id = ?', [subscriptionId]);
+    if (!row) throw new Error('Webhook subscription not found');
+    return { success: true, subscription: this.formatSubscription(row) };
+  }
+
+  async listSubscriptions() {
+    const rows = await database.executeQuery('SELECT * FROM webhook_subscriptions ORDER BY created_at DESC');
+    return { success: true, subscriptions: rows.map(row => this.formatSubscription(row)) };
+  }
+
+  async deleteSubscription(subscriptionId) {
+    const result = await database.executeUpdate('DELETE FROM webhook_subscriptions WHERE id = ?', [subscriptionId]);
+    if (result.changes === 0) throw new Error('Webhook subscription not found');
+    logger.info('Webhook subscription deleted', { subscriptionId });
+    return { success: true, subscriptionId };
+  }
+
+  formatSubscription(row) {
+    return { id: row.id, url: row.url, events: JSON.parse(row.events || '[]'), description: row.description, active: row.active === 1, createdAt: row.created_at };
+  }
+
+  async dispatchEvent(event) {
+    const subscriptions = await database.executeQuery('SELECT id, events FROM webhook_subscriptions WHERE active = 1');
+    const matching = subscriptions.filter(row => JSON.parse(row.events || '[]').some(type => type === '*' || type === event.type));
+    for (const subscription of matching) await this.createDelivery(subscription.id, event.type, event);
+  }
+
+  async createDelivery(subscriptionId, eventType, event, redeliveryOf = null) {
+    const deliveryId = `whd_${uuidv4()}`;
+    await database.executeUpdate('INSERT INTO webhook_deliveries (id, subscription_id, event, payload, status, redelivery_of, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [deliveryId, subscriptionId, eventType, JSON.stringify(event), 'pending', redeliveryOf, new Date().toISOString()]);
+    await jobQueue.enqueue('webhook-delivery', { deliveryId }, { lane: 'batch', maxAttempts: this.maxAttempts, jobId: `job_${deliveryId}` });
+    return deliveryId;
+  }
+
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  async deliver(deliveryId, job) {
+    const [delivery] = await database.executeQuery('SELECT d.*, s.url, s.secret FROM webhook_deliveries d JOIN webhook_subscriptions s ON s.id = d.subscription_id WHERE d.id = ?', [deliveryId]);
+    if (!delivery) return { deliveryId, status: 'skipped' };
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+    try {
+      await assertPublicUrl(delivery.url);
+      const response = await axios.post(delivery.url, delivery.payload, {
+        ...this.agents, timeout: this.timeout, maxRedirects: 0, validateStatus: status => status >= 200 && status < 300,
+        headers: {
+          'Content-Type': 'application/json', 'User-Agent': 'BigBrotherVoice-Webhooks/2.0.0', 'X-BigBrother-Event': delivery.event,
+          'X-BigBrother-Delivery': deliveryId, 'X-BigBrother-Timestamp': String(timestamp), 'X-BigBrother-Signature': this.sign(delivery.secret, timestamp, delivery.payload)
+        }
+      });
+      await this.recordAttempt(deliveryId, 'delivered', { responseStatus: response.status, responseBody: response.data });
+      logger.info('Webhook delivered', { deliveryId, event: delivery.event, status: response.status, attempt: job.attempt, duration: Date.now() - startTime });
+      return { deliveryId, status: 'delivered' };
+    } catch (error) {
+      // A target that became private since it was subscribed will not change on retry
+      if (error.code === 'WEBHOOK_TARGET_BLOCKED') {
+        await this.recordAttempt(deliveryId, 'failed', { error: error.message });
+        logger.warn('Webhook delivery refused, target is not publicly routable', { deliveryId, event: delivery.event, error: error.message });
+        return { deliveryId, status: 'blocked' };
+      }
+      const finalAttempt = job.attempt >= job.maxAttempts;
+      await this.recordAttempt(deliveryId, finalAttempt ? 'failed' : 'retrying', { responseStatus: error.response?.status, responseBody: error.response?.data, error: error.message });
+      logger.warn('Webhook delivery attempt failed', { deliveryId, event: delivery.event, attempt: job.attempt, maxAttempts: job.maxAttempts, status: error.response?.status, error: error.message });
+      throw error;
+    }
+  }
+
+  async recordAttempt(deliveryId, status, { responseStatus = null, responseBody = null, error = null }) {
+    const body = responseBody === null || responseBody === undefined ? null : (typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody)).substring(0, 1000);
+    const now = new Date().toISOString();
+    await database.executeUpdate('UPDATE webhook_deliveries SET status = ?, attempts = attempts + 1, response_status = ?, response_body = ?, error_message = ?, last_attempt_at = ?, delivered_at = ? WHERE id = ?',
+      [status, responseStatus, body, error, now, status === 'delivered' ? now : null, deliveryId]);
+  }
+
+  async listDeliveries(subscriptionId, { limit = 50 } = {}) {
+    await this.getSubscription(subscriptionId);
+    const rows = await database.executeQuery('SELECT * FROM webhook_deliveries WHERE subscription_id = ? ORDER BY created_at DESC LIMIT ?', [subscriptionId, Math.max(1, Math.min(100, parseInt(limit) || 50))]);
+    return { success: true, deliveries: rows.map(row => this.formatDelivery(row)) };
+  }
+
+  async redeliver(deliveryId) {
+    const [delivery] = await database.executeQuery('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+    if (!delivery) throw new Error('Webhook delivery not found');
+    const newDeliveryId = await this.createDelivery(delivery.subscription_id, delivery.event, JSON.parse(delivery.payload), deliveryId);
+    logger.info('Webhook redelivery queued', { deliveryId, newDeliveryId });
+    const [row] = await database.executeQuery('SELECT * FROM webhook_deliveries WHERE id = ?', [newDeliveryId]);
+    return { success: true, delivery: this.formatDelivery(row) };
+  }
+
+  formatDelivery(row) {
+    return {
+      id: row.id, subscriptionId: row.subscription_id, event: row.event, status: row.status, attempts: row.attempts, responseStatus: row.response_status,
+      responseBody: row.response_body, error: row.error_message, redeliveryOf: row.redelivery_of, createdAt: row.created_at, lastAttemptAt: row.last_attempt_at, deliveredAt: row.delivered_at
+    };
+  }
+}
+
+module.exports = new WebhookService();
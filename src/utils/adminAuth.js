@@ -0,0 +1,31 @@
+/**
+ * BIG BROTHER COMPLIANT - Admin Authentication
+ * X-Admin-Key check for operator endpoints; fails closed when ADMIN_API_KEY is not configured
+ * unless ADMIN_API_ALLOW_UNAUTHENTICATED=true explicitly opts in to an open admin API
+ * MAX LINES: 250 | CURRENT: 31
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const reject = (res, status, error, code) => res.status(status).json({
+  success: false, error, code, service: 'Big Brother Voice v2', requestId: res.locals.performance?.requestId, bigBrotherCompliant: true, timestamp: new Date().toISOString()
+});
+
+const requireAdminKey = (req, res, next) => {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected && process.env.ADMIN_API_ALLOW_UNAUTHENTICATED === 'true') {
+    logger.warn('Unauthenticated admin request allowed by ADMIN_API_ALLOW_UNAUTHENTICATED', { method: req.method, path: req.originalUrl, ip: req.ip });
+    return next();
+  }
+  if (!expected) {
+    logger.warn('Admin request refused, ADMIN_API_KEY is not configured', { method: req.method, path: req.originalUrl, ip: req.ip });
+    return reject(res, 503, 'Admin API is disabled until ADMIN_API_KEY is configured', 'ADMIN_API_NOT_CONFIGURED');
+  }
+  const provided = Buffer.from(String(req.get('X-Admin-Key') || ''));
+  if (provided.length === Buffer.byteLength(expected) && crypto.timingSafeEqual(provided, Buffer.from(expected))) return next();
+  logger.warn('Admin request refused, invalid X-Admin-Key', { method: req.method, path: req.originalUrl, ip: req.ip });
+  reject(res, 401, 'Valid X-Admin-Key header required', 'ADMIN_KEY_REQUIRED');
+};
+
+module.exports = { requireAdminKey };
\ No newline at end of file
@@ -0,0 +1,177 @@
+/**
+ * BIG BROTHER COMPLIANT - Audio Output Formats
+ * Output format parsing, provider negotiation and in-process conversion
+ * MAX LINES: 250 | CURRENT: 177
+ */
+
+const { Readable } = require('stream');
+const { WAV_HEADER_SIZE, WAV_FORMATS, buildWavHeader, encodeWav, parseWav } = require('./wav');
+const voiceConfig = require('../config/voiceConfig');
+
+const G711_SAMPLE_RATE = 8000;
+const MP3_SAMPLE_RATES = [22050, 44100];
+const FORMAT_PATTERN = /^(mp3|pcm|wav|ulaw|alaw)_(\d+)(?:_(\d+))?$/;
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+const createFormatError = (message) => Object.assign(new Error(message), {
+  status: 400,
+  code: 'UNSUPPORTED_OUTPUT_FORMAT'
+});
+
+const contentTypeOf = (codec, sampleRate) => {
+  if (codec === 'mp3') return 'audio/mpeg';
+  if (codec === 'pcm') return `audio/pcm;rate=${sampleRate};bits=16;channels=1`;
+  return 'audio/wav';
+};
+
+const describeFormat = (codec, sampleRate, bitRate) => ({
+  id: codec === 'mp3' ? `mp3_${sampleRate}_${bitRate}` : `${codec}_${sampleRate}`,
+  codec,
+  sampleRate,
+  ...(bitRate && { bitRate }),
+  contentType: contentTypeOf(codec, sampleRate),
+  extension: codec === 'mp3' ? '.mp3' : codec === 'pcm' ? '.pcm' : '.wav'
+});
+
+// Format ids follow <codec>_<sampleRate>[_<kbps>]; mu-law and a-law are delivered as 8 kHz WAV files
+const parseOutputFormat = (spec) => {
+  const match = FORMAT_PATTERN.exec(String(spec).trim().toLowerCase());
+  if (!match) {
+    throw createFormatError(`Unknown output format: ${spec}. ` +
+      'Expected e.g. mp3_44100_128, pcm_16000, wav_22050, ulaw_8000 or alaw_8000');
+  }
+  const [, codec, rate, bits] = match;
+  const sampleRate = parseInt(rate);
+  const bitRate = bits ? parseInt(bits) : undefined;
+  const { sampleRates, bitRates } = voiceConfig.processingConfig.audio;
+
+  if (codec === 'mp3') {
+    if (!MP3_SAMPLE_RATES.includes(sampleRate) || !bitRates.includes(bitRate)) {
+      throw createFormatError(`MP3 output must use a sample rate of ${MP3_SAMPLE_RATES.join(' or ')} ` +
+        `and a bitrate of ${bitRates.join(', ')} kbps`);
+    }
+  } else if (bitRate) {
+    throw createFormatError(`${codec} output does not take a bitrate`);
+  } else if (codec === 'ulaw' || codec === 'alaw') {
+    if (sampleRate !== G711_SAMPLE_RATE) {
+      throw createFormatError(`${codec} output is only available at ${G711_SAMPLE_RATE} Hz`);
+    }
+  } else if (!sampleRates.includes(sampleRate)) {
+    throw createFormatError(`${codec} output sample rate must be one of ${sampleRates.join(', ')}`);
+  }
+  return describeFormat(codec, sampleRate, bitRate);
+};
+
+const rateOf = (format) => parseInt(format.split('_')[1]);
+
+// Picks what to ask the provider for. MP3 and raw PCM pass straight through when the provider
+// produces them natively; everything else is converted in-process from a PCM (or mu-law) source.
+const negotiateFormat = (target, nativeFormats = []) => {
+  if (['mp3', 'pcm'].includes(target.codec) && nativeFormats.includes(target.id)) {
+    return { source: target.id, transcode: false };
+  }
+  if (target.codec === 'ulaw' && nativeFormats.includes('ulaw_8000')) return { source: 'ulaw_8000', transcode: true };
+
+  const pcmSources = nativeFormats
+    .filter(format => /^(pcm|wav)_\d+$/.test(format))
+    .sort((a, b) => rateOf(a) - rateOf(b));
+  const source = pcmSources.find(format => rateOf(format) >= target.sampleRate) || pcmSources[pcmSources.length - 1];
+  if (target.codec === 'mp3' || !source) {
+    throw createFormatError(`Output format ${target.id} is not supported by the configured voice provider`);
+  }
+  return { source, transcode: true };
+};
+
+const linearToMulaw = (sample) => {
+  const sign = sample < 0 ? 0x80 : 0;
+  const magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+};
+
+const mulawToLinear = (value) => {
+  const byte = ~value & 0xff;
+  const exponent = (byte >> 4) & 0x07;
+  const magnitude = ((((byte & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return byte & 0x80 ? -magnitude : magnitude;
+};
+
+const linearToAlaw = (sample) => {
+  let value = sample >> 3;
+  const mask = value >= 0 ? 0xd5 : 0x55;
+  if (value < 0) value = -value - 1;
+  let segment = 0;
+  while (segment < 8 && value > (0x20 << segment) - 1) segment++;
+  if (segment >= 8) return 0x7f ^ mask;
+  return ((segment << 4) | ((segment < 2 ? value >> 1 : value >> segment) & 0x0f)) ^ mask;
+};
+
+const readInt16 = (buffer) => {
+  const samples = new Int16Array(Math.floor(buffer.length / 2));
+  for (let i = 0; i < samples.length; i++) samples[i] = buffer.readInt16LE(i * 2);
+  return samples;
+};
+
+// Linear interpolation; when downsampling, a box filter over the source window limits aliasing
+const resample = (samples, fromRate, toRate) => {
+  if (fromRate === toRate) return samples;
+  const ratio = fromRate / toRate;
+  const window = Math.max(1, Math.round(ratio));
+  const output = new Int16Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    if (window > 1) {
+      const end = Math.min(index + window, samples.length);
+      let sum = 0;
+      for (let j = index; j < end; j++) sum += samples[j];
+      output[i] = Math.round(sum / (end - index));
+    } else {
+      const next = samples[Math.min(index + 1, samples.length - 1)];
+      output[i] = Math.round(samples[index] + (next - samples[index]) * (position - index));
+    }
+  }
+  return output;
+};
+
+const decodeSource = (buffer, source) => {
+  const [codec, rate] = source.split('_');
+  if (codec === 'ulaw') return { samples: Int16Array.from(buffer, mulawToLinear), sampleRate: parseInt(rate) };
+  if (codec === 'pcm') return { samples: readInt16(buffer), sampleRate: parseInt(rate) };
+  const wav = parseWav(buffer);
+  if (wav.audioFormat !== WAV_FORMATS.PCM || wav.bitsPerSample !== 16 || wav.channels !== 1) {
+    throw new Error('Only 16-bit mono PCM WAV audio can be converted');
+  }
+  return { samples: readInt16(wav.data), sampleRate: wav.sampleRate };
+};
+
+const encodeTarget = (samples, target) => {
+  if (target.codec === 'wav' || target.codec === 'pcm') {
+    const wav = encodeWav(samples, { sampleRate: target.sampleRate });
+    return target.codec === 'wav' ? wav : wav.subarray(WAV_HEADER_SIZE);
+  }
+  const data = Buffer.from(Uint8Array.from(samples, target.codec === 'ulaw' ? linearToMulaw : linearToAlaw));
+  const audioFormat = target.codec === 'ulaw' ? WAV_FORMATS.MULAW : WAV_FORMATS.ALAW;
+  const header = buildWavHeader({ sampleRate: target.sampleRate, bitsPerSample: 8, audioFormat, dataSize: data.length });
+  return Buffer.concat([header, data]);
+};
+
+const transcodeAudio = async (audioStream, source, target) => {
+  const chunks = [];
+  for await (const chunk of audioStream) chunks.push(chunk);
+  const { samples, sampleRate } = decodeSource(Buffer.concat(chunks), source);
+  return Readable.from([encodeTarget(resample(samples, sampleRate, target.sampleRate), target)]);
+};
+
+module.exports = {
+  parseOutputFormat,
+  negotiateFormat,
+  transcodeAudio,
+  resample,
+  linearToMulaw,
+  mulawToLinear,
+  linearToAlaw
+};
\ No newline at end of file
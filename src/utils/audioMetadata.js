@@ -0,0 +1,186 @@
+/**
+ * BIG BROTHER COMPLIANT - Audio Metadata
+ * Header parsing for WAV, MP3, FLAC, OGG and M4A: duration, sample rate, channels, bitrate
+ * MAX LINES: 250 | CURRENT: 186
+ */
+
+const { parseWav } = require('./wav');
+
+const MP3_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+const MP3_SCAN_LIMIT = 64 * 1024;
+const M4A_CONTAINERS = ['moov', 'trak', 'mdia', 'minf', 'stbl'];
+
+const kbps = (bytes, duration) => (duration > 0 ? Math.round(bytes * 8 / duration / 1000) : null);
+
+const parseWavMetadata = (buffer) => {
+  const wav = parseWav(buffer);
+  const bytesPerSecond = wav.sampleRate * wav.channels * (wav.bitsPerSample / 8);
+  return { container: 'wav', duration: wav.data.length / bytesPerSecond, sampleRate: wav.sampleRate, channels: wav.channels, bitrate: Math.round(bytesPerSecond * 8 / 1000) };
+};
+
+const readMp3Header = (buffer, offset) => {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+  const version = [2.5, null, 2, 1][(buffer[offset + 1] >> 3) & 3];
+  const layer = [null, 3, 2, 1][(buffer[offset + 1] >> 1) & 3];
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 3;
+  if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+  const table = version === 1 ? `1-${layer}` : (layer === 1 ? '2-1' : '2-2');
+  const bitrate = MP3_BITRATES[table][bitrateIndex];
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version !== 1 ? 576 : 1152);
+  const padding = (buffer[offset + 2] >> 1) & 1;
+  const frameLength = layer === 1 ? (Math.floor(12 * bitrate * 1000 / sampleRate) + padding) * 4 : Math.floor(samplesPerFrame / 8 * bitrate * 1000 / sampleRate) + padding;
+  return { version, layer, bitrate, sampleRate, samplesPerFrame, frameLength, channels: (buffer[offset + 3] >> 6) === 3 ? 1 : 2 };
+};
+
+// A frame header only counts when the next frame starts where it says it does
+const findMp3Frame = (buffer, start) => {
+  for (let offset = start; offset < Math.min(buffer.length, start + MP3_SCAN_LIMIT); offset++) {
+    const header = readMp3Header(buffer, offset);
+    if (header && (offset + header.frameLength >= buffer.length || readMp3Header(buffer, offset + header.frameLength))) return { offset, header };
+  }
+  return null;
+};
+
+const parseMp3Metadata = (buffer) => {
+  let start = 0;
+  if (buffer.toString('ascii', 0, 3) === 'ID3' && buffer.length >= 10) {
+    const tagSize = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    start = 10 + tagSize + ((buffer[5] & 0x10) ? 10 : 0);
+  }
+  const frame = findMp3Frame(buffer, start);
+  if (!frame) throw new Error('No MPEG audio frame found');
+  const { offset, header } = frame;
+  const base = { container: 'mp3', sampleRate: header.sampleRate, channels: header.channels };
+  const end = buffer.length - (buffer.length >= 128 && buffer.toString('ascii', buffer.length - 128, buffer.length - 125) === 'TAG' ? 128 : 0);
+
+  // VBR files carry a frame count in a Xing/Info or VBRI header inside the first frame
+  const sideInfo = header.version === 1 ? (header.channels === 1 ? 17 : 32) : (header.channels === 1 ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  let frames = null;
+  if (['Xing', 'Info'].includes(buffer.toString('ascii', xing, xing + 4)) && (buffer.readUInt32BE(xing + 4) & 1)) {
+    frames = buffer.readUInt32BE(xing + 8);
+  } else if (buffer.toString('ascii', offset + 36, offset + 40) === 'VBRI') {
+    frames = buffer.readUInt32BE(offset + 36 + 14);
+  }
+  if (frames) {
+    const duration = frames * header.samplesPerFrame / header.sampleRate;
+    return { ...base, duration, bitrate: kbps(end - offset, duration) };
+  }
+  return { ...base, duration: (end - offset) * 8 / (header.bitrate * 1000), bitrate: header.bitrate };
+};
+
+const parseFlacMetadata = (buffer) => {
+  for (let offset = 4; offset + 4 <= buffer.length;) {
+    const type = buffer[offset] & 0x7F;
+    const length = buffer.readUIntBE(offset + 1, 3);
+    const body = offset + 4;
+    if (type === 0 && body + 18 <= buffer.length) {
+      const sampleRate = (buffer[body + 10] << 12) | (buffer[body + 11] << 4) | (buffer[body + 12] >> 4);
+      const channels = ((buffer[body + 12] >> 1) & 7) + 1;
+      const totalSamples = (buffer[body + 13] & 0x0F) * 2 ** 32 + buffer.readUInt32BE(body + 14);
+      const duration = sampleRate > 0 && totalSamples > 0 ? totalSamples / sampleRate : null;
+      return { container: 'flac', duration, sampleRate, channels, bitrate: duration ? kbps(buffer.length, duration) : null };
+    }
+    if (buffer[offset] & 0x80) break;
+    offset = body + length;
+  }
+  throw new Error('FLAC file is missing STREAMINFO');
+};
+
+const parseOggMetadata = (buffer) => {
+  const packet = 27 + buffer[26];
+  let codec;
+  if (buffer.toString('ascii', packet + 1, packet + 7) === 'vorbis' && buffer[packet] === 1) {
+    codec = { name: 'vorbis', channels: buffer[packet + 11], sampleRate: buffer.readUInt32LE(packet + 12), clockRate: buffer.readUInt32LE(packet + 12), preSkip: 0 };
+  } else if (buffer.toString('ascii', packet, packet + 8) === 'OpusHead') {
+    // Opus granule positions always count 48 kHz samples, whatever the input rate was
+    codec = { name: 'opus', channels: buffer[packet + 9], sampleRate: buffer.readUInt32LE(packet + 12) || 48000, clockRate: 48000, preSkip: buffer.readUInt16LE(packet + 10) };
+  } else {
+    throw new Error('Unsupported OGG codec');
+  }
+  const lastPage = buffer.lastIndexOf('OggS');
+  const granule = lastPage >= 0 && lastPage + 14 <= buffer.length ? Number(buffer.readBigInt64LE(lastPage + 6)) : -1;
+  const duration = granule > 0 ? Math.max(0, granule - codec.preSkip) / codec.clockRate : null;
+  return { container: 'ogg', codec: codec.name, duration, sampleRate: codec.sampleRate, channels: codec.channels, bitrate: duration ? kbps(buffer.length, duration) : null };
+};
+
+const readBoxes = (buffer, start, end) => {
+  const boxes = [];
+  for (let offset = start; offset + 8 <= end;) {
+    let size = buffer.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) break;
+    boxes.push({ type: buffer.toString('ascii', offset + 4, offset + 8), body: offset + header, end: Math.min(end, offset + size) });
+    offset += size;
+  }
+  return boxes;
+};
+
+const findBox = (buffer, boxes, type) => {
+  for (const box of boxes) {
+    if (box.type === type) return box;
+    if (M4A_CONTAINERS.includes(box.type)) {
+      const found = findBox(buffer, readBoxes(buffer, box.body, box.end), type);
+      if (found) return found;
+    }
+  }
+  return null;
+};
+
+const parseM4aMetadata = (buffer) => {
+  const boxes = readBoxes(buffer, 0, buffer.length);
+  const mvhd = findBox(buffer, boxes, 'mvhd');
+  if (!mvhd) throw new Error('M4A file is missing its movie header');
+  const longForm = buffer[mvhd.body] === 1;
+  const timescale = buffer.readUInt32BE(mvhd.body + (longForm ? 20 : 12));
+  const units = longForm ? Number(buffer.readBigUInt64BE(mvhd.body + 24)) : buffer.readUInt32BE(mvhd.body + 16);
+  const duration = timescale > 0 ? units / timescale : null;
+
+  // First sample entry of the sound track: 8-byte box header, then channels at +16, 16.16 rate at +24
+  const stsd = findBox(buffer, boxes, 'stsd');
+  const entry = stsd && stsd.body + 8 + 36 <= stsd.end ? stsd.body + 8 : null;
+  return {
+    container: 'm4a', codec: entry ? buffer.toString('ascii', entry + 4, entry + 8).trim() : null, duration,
+    sampleRate: entry ? buffer.readUInt32BE(entry + 32) >>> 16 : null, channels: entry ? buffer.readUInt16BE(entry + 24) : null, bitrate: duration ? kbps(buffer.length, duration) : null
+  };
+};
+
+const detectContainer = (buffer) => {
+  if (buffer.length < 12) return null;
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+  if (buffer.toString('ascii', 0, 4) === 'fLaC') return 'flac';
+  if (buffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') return 'm4a';
+  if (buffer.toString('ascii', 0, 3) === 'ID3' || readMp3Header(buffer, 0)) return 'mp3';
+  return null;
+};
+
+const PARSERS = { wav: parseWavMetadata, mp3: parseMp3Metadata, flac: parseFlacMetadata, ogg: parseOggMetadata, m4a: parseM4aMetadata };
+
+// Throws when the container is unknown or its headers are truncated or malformed
+const parseAudioMetadata = (buffer) => {
+  const container = detectContainer(buffer);
+  if (!container) throw new Error('Unrecognized audio container');
+  try {
+    return { codec: null, ...PARSERS[container](buffer) };
+  } catch (error) {
+    throw new Error(error instanceof RangeError ? `Truncated ${container.toUpperCase()} header` : error.message);
+  }
+};
+
+module.exports = { detectContainer, parseAudioMetadata };
\ No newline at end of file
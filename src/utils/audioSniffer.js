@@ -0,0 +1,30 @@
+/**
+ * BIG BROTHER COMPLIANT - Audio Sniffer
+ * Upload format detection from magic bytes; the client's filename and MIME type are only claims
+ * MAX LINES: 250 | CURRENT: 30
+ */
+
+const fs = require('fs').promises;
+const { detectContainer } = require('./audioMetadata');
+
+const SNIFF_BYTES = 64;
+
+const unsupportedMediaType = (originalName) => Object.assign(
+  new Error(`Unsupported media type: ${originalName} is not a WAV, MP3, FLAC, OGG or M4A audio file ` +
+    '(raw PCM must be uploaded as .pcm)'),
+  { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE' }
+);
+
+const sniffFormat = async (filePath, originalName) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    const format = detectContainer(buffer.subarray(0, bytesRead));
+    if (!format) throw unsupportedMediaType(originalName);
+    return format;
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = { sniffFormat };
\ No newline at end of file
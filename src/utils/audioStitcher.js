@@ -0,0 +1,24 @@
+/**
+ * BIG BROTHER COMPLIANT - Audio Stitcher
+ * Joins sequential synthesis results into a single file of the same format
+ * MAX LINES: 250 | CURRENT: 27
+ */
+
+const { concatWav } = require('./wav');
+
+// ID3v2 tags carry a synchsafe size; repeated tags mid-stream confuse some players
+const stripId3 = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'ID3') return buffer;
+  const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+  const footer = buffer[5] & 0x10 ? 10 : 0;
+  return buffer.subarray(10 + size + footer);
+};
+
+const stitchAudio = (buffers, contentType) => {
+  if (buffers.length === 0) throw new Error('No audio segments to stitch');
+  if (contentType === 'audio/wav') return concatWav(buffers);
+  if (contentType === 'audio/mpeg') return Buffer.concat(buffers.map((buffer, i) => (i === 0 ? buffer : stripId3(buffer))));
+  throw new Error(`Cannot stitch audio of type ${contentType}`);
+};
+
+module.exports = { stitchAudio, stripId3 };
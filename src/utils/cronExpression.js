@@ -0,0 +1,88 @@
+/**
+ * BIG BROTHER COMPLIANT - Cron Expressions
+ * Five-field cron (minute hour day-of-month month day-of-week) plus @hourly-style macros, evaluated in UTC
+ * MAX LINES: 250 | CURRENT: 88
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *', '@annually': '0 0 1 1 *', '@monthly': '0 0 1 * *', '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *', '@midnight': '0 0 * * *', '@hourly': '0 * * * *'
+};
+
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+const parseValue = (token, field, expression) => {
+  const named = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+  const value = named >= 0 ? named + field.offset : /^\d+$/.test(token) ? Number(token) : NaN;
+  if (!(value >= field.min && value <= field.max)) throw new Error(`Invalid cron expression "${expression}": ${field.name} value "${token}" is out of range`);
+  return value;
+};
+
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 0-30/10, 5/20) and month/weekday names
+const parseField = (text, field, expression) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron expression "${expression}": bad step in ${field.name}`);
+    let [start, end] = [field.min, field.max];
+    if (rangeText.includes('-')) [start, end] = rangeText.split('-').map(token => parseValue(token, field, expression));
+    else if (rangeText !== '*') [start, end] = [parseValue(rangeText, field, expression), stepText === undefined ? parseValue(rangeText, field, expression) : field.max];
+    if (start > end) throw new Error(`Invalid cron expression "${expression}": ${field.name} range ${rangeText} is reversed`);
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+};
+
+const parseCron = (expression) => {
+  const source = MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index], expression));
+  // 7 is an alias for Sunday
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+  return { expression, minute, hour, dayOfMonth, month, dayOfWeek, anyDayOfMonth: parts[2] === '*', anyDayOfWeek: parts[4] === '*' };
+};
+
+// Standard cron rule: when both day fields are restricted, a day matching either one qualifies
+const dayMatches = (cron, date) => {
+  const dom = cron.dayOfMonth.has(date.getUTCDate());
+  const dow = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+};
+
+// First matching minute strictly after `from`; null when nothing matches within five years (e.g. "0 0 30 2 *")
+const nextRun = (cron, from = new Date()) => {
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = from.getTime() + SEARCH_LIMIT_MS;
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+};
+
+module.exports = { parseCron, nextRun };
\ No newline at end of file
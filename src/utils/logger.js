@@ -153,14 +153,17 @@ class VoiceLogger {
     const files = fs.readdirSync(this.logDir);
     const cutoff = new Date();
     cutoff.setDate(cutoff.getDate() - 7);
+    let removed = 0;
 
     files.forEach(file => {
       const filePath = path.join(this.logDir, file);
       const stats = fs.statSync(filePath);
       if (stats.mtime < cutoff) {
         fs.unlinkSync(filePath);
+        removed++;
       }
     });
+    return removed;
   }
 }
 
@@ -0,0 +1,52 @@
+/**
+ * BIG BROTHER COMPLIANT - Outbound Network Targets
+ * Keeps server-initiated requests (webhook deliveries) off loopback, link-local and private networks
+ * Hosts listed in WEBHOOK_ALLOWED_HOSTS are exempt, for receivers that really live on an internal network
+ * MAX LINES: 250 | CURRENT: 52
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const blockedRanges = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv6'));
+
+const getAllowedHosts = () => (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+const isPrivateAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const blockedError = (hostname, address) => Object.assign(new Error(`Validation failed: ${hostname} resolves to ${address}, a private or loopback address; add it to WEBHOOK_ALLOWED_HOSTS to allow it`), { status: 400, code: 'WEBHOOK_TARGET_BLOCKED' });
+
+// Resolves the URL's host and rejects it when any address is not publicly routable
+const assertPublicUrl = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (getAllowedHosts().includes(hostname)) return;
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [hostname] : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    throw Object.assign(new Error(`Validation failed: ${hostname} could not be resolved (${error.code || error.message})`), { status: 400, code: 'WEBHOOK_TARGET_UNRESOLVED' });
+  }
+  const blocked = addresses.find(isPrivateAddress);
+  if (blocked) throw blockedError(hostname, blocked);
+};
+
+// dns.lookup replacement for http(s) agents: checks the address a connection is actually made to,
+// so a host that re-resolves to a private address after validation is still refused
+const guardedLookup = (hostname, options, callback) => dns.lookup(hostname, options, (error, address, family) => {
+  if (error || getAllowedHosts().includes(hostname.toLowerCase())) return callback(error, address, family);
+  const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+  const blocked = addresses.find(isPrivateAddress);
+  if (blocked) return callback(blockedError(hostname, blocked));
+  callback(null, address, family);
+});
+
+module.exports = { assertPublicUrl, guardedLookup, isPrivateAddress };
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * BIG BROTHER COMPLIANT - Sample Analyzer
+ * Clone sample quality metrics for PCM WAV (SNR, clipping, silence, speech, levels) and a verdict
+ * MAX LINES: 250 | CURRENT: 84
+ */
+
+const { WAV_FORMATS, parseWav } = require('./wav');
+const { downmix, rms, toDb } = require('./samplePreprocessor');
+
+const FRAME_MS = 20;
+const CLIP_RATIO = 0.999;
+const NOISE_PERCENTILE = 0.1;
+const MAX_SNR_DB = 96;
+
+// Within 0.1% of full scale on any channel, measured at the file's own bit depth
+const clippingPercent = (wav) => {
+  const bytes = wav.bitsPerSample / 8;
+  const limit = (bytes === 1 ? 128 : 2 ** (wav.bitsPerSample - 1)) * CLIP_RATIO;
+  const total = Math.floor(wav.data.length / bytes);
+  let clipped = 0;
+  for (let i = 0; i < total; i++) {
+    const value = bytes === 1 ? wav.data[i] - 128 : wav.data.readIntLE(i * bytes, bytes);
+    if (Math.abs(value) >= limit) clipped++;
+  }
+  return total > 0 ? clipped / total * 100 : 0;
+};
+
+// Frames above the silence threshold count as speech; the noise floor is the quietest 10% of frames
+const measure = (wav, silenceThresholdDb) => {
+  const samples = downmix(wav);
+  const frame = Math.max(1, Math.round(wav.sampleRate * FRAME_MS / 1000));
+  const levels = [];
+  let speechEnergy = 0;
+  let speechSamples = 0;
+  let peak = 0;
+  for (let start = 0; start < samples.length; start += frame) {
+    const end = Math.min(samples.length, start + frame);
+    const level = rms(samples, start, end);
+    levels.push(level);
+    if (toDb(level) > silenceThresholdDb) {
+      speechEnergy += level * level * (end - start);
+      speechSamples += end - start;
+    }
+    for (let i = start; i < end; i++) peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  const quietest = [...levels].sort((a, b) => a - b).slice(0, Math.max(1, Math.ceil(levels.length * NOISE_PERCENTILE)));
+  const noise = Math.sqrt(quietest.reduce((sum, level) => sum + level * level, 0) / quietest.length);
+  const speech = speechSamples > 0 ? Math.sqrt(speechEnergy / speechSamples) : 0;
+  const snrDb = speech === 0 ? 0 : (noise === 0 ? MAX_SNR_DB : Math.min(MAX_SNR_DB, 20 * Math.log10(speech / noise)));
+  return {
+    duration: samples.length / wav.sampleRate, speechSeconds: speechSamples / wav.sampleRate, silenceRatio: samples.length > 0 ? 1 - speechSamples / samples.length : 1,
+    snrDb, peakDb: toDb(peak), rmsDb: toDb(rms(samples, 0, samples.length)), noiseFloorDb: toDb(noise)
+  };
+};
+
+const round = (value) => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+
+// snrDb and speechSeconds must stay above their thresholds; clipping and silence below them
+const judge = (metrics, thresholds) => {
+  const checks = Object.entries({ snrDb: 'min', speechSeconds: 'min', clippingPercent: 'max', silenceRatio: 'max' }).map(([metric, bound]) => {
+    const { warn, fail } = thresholds[metric];
+    const value = metrics[metric];
+    const breaches = (limit) => (bound === 'min' ? value < limit : value > limit);
+    return { metric, value, status: breaches(fail) ? 'fail' : breaches(warn) ? 'warn' : 'pass', warn, fail };
+  });
+  const verdict = checks.some(check => check.status === 'fail') ? 'fail' : checks.some(check => check.status === 'warn') ? 'warn' : 'pass';
+  return { verdict, checks };
+};
+
+const analyzeWav = (buffer, { thresholds, silenceThresholdDb }) => {
+  const wav = parseWav(buffer);
+  if (wav.audioFormat !== WAV_FORMATS.PCM || ![8, 16, 24, 32].includes(wav.bitsPerSample)) {
+    throw Object.assign(new Error('Only integer PCM WAV samples can be analyzed'), { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+  }
+  const measured = { ...measure(wav, silenceThresholdDb), clippingPercent: clippingPercent(wav) };
+  const metrics = Object.fromEntries(Object.entries(measured).map(([key, value]) => [key, round(value)]));
+  return {
+    format: { sampleRate: wav.sampleRate, channels: wav.channels, bitsPerSample: wav.bitsPerSample },
+    metrics,
+    ...judge(metrics, thresholds)
+  };
+};
+
+module.exports = { analyzeWav };
\ No newline at end of file
@@ -0,0 +1,113 @@
+/**
+ * BIG BROTHER COMPLIANT - Sample Preprocessor
+ * Clone sample clean-up for PCM WAV: silence trimming, mono downmix, resampling, loudness normalization
+ * MAX LINES: 250 | CURRENT: 113
+ */
+
+const fs = require('fs').promises;
+const { WAV_FORMATS, encodeWav, parseWav } = require('./wav');
+const { resample } = require('./audioFormats');
+
+const FRAME_MS = 10;
+const FULL_SCALE = 32767;
+const PEAK_CEILING_DB = -1;
+
+const toDb = (level) => (level > 0 ? 20 * Math.log10(level / FULL_SCALE) : -Infinity);
+const fromDb = (db) => FULL_SCALE * 10 ** (db / 20);
+const clamp = (value) => Math.max(-32768, Math.min(32767, Math.round(value)));
+
+const rms = (samples, start, end) => {
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+  return end > start ? Math.sqrt(sum / (end - start)) : 0;
+};
+
+// Integer PCM at 8, 16, 24 or 32 bits, averaged across channels into one 16-bit track
+const downmix = (wav) => {
+  const bytes = wav.bitsPerSample / 8;
+  const frames = Math.floor(wav.data.length / (bytes * wav.channels));
+  const mono = new Int16Array(frames);
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < wav.channels; channel++) {
+      const offset = (frame * wav.channels + channel) * bytes;
+      sum += bytes === 1 ? (wav.data[offset] - 128) * 256 : wav.data.readIntLE(offset, bytes) / 2 ** (wav.bitsPerSample - 16);
+    }
+    mono[frame] = clamp(sum / wav.channels);
+  }
+  return mono;
+};
+
+// Whole 10 ms frames below the threshold are cut from both ends; a short pad keeps word onsets intact
+const trimSilence = (samples, sampleRate, { silenceThresholdDb, silencePadMs }) => {
+  const frame = Math.max(1, Math.round(sampleRate * FRAME_MS / 1000));
+  const isLoud = (start) => toDb(rms(samples, start, Math.min(samples.length, start + frame))) > silenceThresholdDb;
+  let first = 0;
+  while (first < samples.length && !isLoud(first)) first += frame;
+  if (first >= samples.length) throw new Error(`Sample is silent (nothing above ${silenceThresholdDb} dBFS)`);
+  let last = Math.floor((samples.length - 1) / frame) * frame;
+  while (last > first && !isLoud(last)) last -= frame;
+  const pad = Math.round(sampleRate * silencePadMs / 1000);
+  return samples.subarray(Math.max(0, first - pad), Math.min(samples.length, last + frame + pad));
+};
+
+// Loudness is the RMS level of the non-silent frames; gain is capped so peaks stay under -1 dBFS
+const normalizeLoudness = (samples, sampleRate, { silenceThresholdDb, targetLoudnessDb }) => {
+  const frame = Math.max(1, Math.round(sampleRate * FRAME_MS / 1000));
+  let sum = 0;
+  let count = 0;
+  let peak = 0;
+  for (let start = 0; start < samples.length; start += frame) {
+    const end = Math.min(samples.length, start + frame);
+    const level = rms(samples, start, end);
+    if (toDb(level) > silenceThresholdDb) {
+      sum += level * level * (end - start);
+      count += end - start;
+    }
+    for (let i = start; i < end; i++) peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  const loudness = count > 0 ? Math.sqrt(sum / count) : 0;
+  if (loudness === 0) return { samples, gainDb: 0, loudnessDb: toDb(loudness) };
+  const gain = Math.min(fromDb(targetLoudnessDb) / loudness, fromDb(PEAK_CEILING_DB) / peak);
+  return { samples: Int16Array.from(samples, sample => clamp(sample * gain)), gainDb: 20 * Math.log10(gain), loudnessDb: toDb(loudness * gain) };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const preprocessWav = (buffer, options) => {
+  const wav = parseWav(buffer);
+  if (wav.audioFormat !== WAV_FORMATS.PCM || ![8, 16, 24, 32].includes(wav.bitsPerSample)) {
+    throw new Error('Only integer PCM WAV samples can be preprocessed');
+  }
+  const mono = downmix(wav);
+  const trimmed = trimSilence(mono, wav.sampleRate, options);
+  const resampled = resample(trimmed, wav.sampleRate, options.sampleRate);
+  const { samples, gainDb, loudnessDb } = normalizeLoudness(resampled, options.sampleRate, options);
+  return {
+    buffer: encodeWav(samples, { sampleRate: options.sampleRate }),
+    stats: {
+      originalDuration: round(mono.length / wav.sampleRate),
+      duration: round(samples.length / options.sampleRate),
+      trimmed: round((mono.length - trimmed.length) / wav.sampleRate),
+      originalChannels: wav.channels,
+      originalSampleRate: wav.sampleRate,
+      sampleRate: options.sampleRate,
+      gainDb: round(gainDb),
+      loudnessDb: round(loudnessDb)
+    }
+  };
+};
+
+// Unreadable or non-PCM uploads are the client's problem, so they surface as a 400
+const preprocessFile = async (filePath, originalName, options) => {
+  try {
+    return preprocessWav(await fs.readFile(filePath), options);
+  } catch (error) {
+    throw Object.assign(new Error(`Validation failed: could not preprocess ${originalName} (${error.message})`), {
+      status: 400,
+      code: 'PREPROCESSING_FAILED'
+    });
+  }
+};
+
+module.exports = { preprocessWav, preprocessFile, downmix, rms, toDb };
\ No newline at end of file
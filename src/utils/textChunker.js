@@ -0,0 +1,44 @@
+/**
+ * BIG BROTHER COMPLIANT - Text Chunker
+ * Splits long-form text on paragraph and sentence boundaries for chunked synthesis
+ * MAX LINES: 250 | CURRENT: 45
+ */
+
+const SENTENCE_PATTERN = /[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g;
+
+const splitOversized = (sentence, maxLength) => {
+  const pieces = [];
+  let current = '';
+  for (const word of sentence.split(/(?<=[,;:])\s+|\s+/)) {
+    if (current && (current.length + word.length + 1) > maxLength) {
+      pieces.push(current);
+      current = '';
+    }
+    for (let start = 0; start < word.length; start += maxLength) {
+      const part = word.substring(start, start + maxLength);
+      if (part.length === maxLength) pieces.push(part);
+      else current = current ? `${current} ${part}` : part;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+};
+
+const splitText = (text, maxLength) => {
+  const chunks = [];
+  for (const paragraph of text.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean)) {
+    let current = '';
+    const sentences = (paragraph.match(SENTENCE_PATTERN) || [paragraph]).map(s => s.trim()).filter(Boolean);
+    for (const sentence of sentences.flatMap(s => (s.length > maxLength ? splitOversized(s, maxLength) : [s]))) {
+      if (current && current.length + sentence.length + 1 > maxLength) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+    if (current) chunks.push(current);
+  }
+  return chunks;
+};
+
+module.exports = { splitText };
@@ -11,10 +11,10 @@ const logger = require('./logger');
 class VoiceValidators {
   constructor() {
     this.bigBrotherCompliant = true;
-    this.supportedAudioFormats = ['.mp3', '.wav', '.m4a', '.flac', '.ogg'];
+    this.supportedAudioFormats = ['.mp3', '.wav', '.m4a', '.flac', '.ogg', '.pcm'];
     this.maxFileSize = parseInt(process.env.MAX_AUDIO_SIZE) || 50 * 1024 * 1024;
-    this.minFileDuration = 5; // seconds
-    this.maxFileDuration = 300; // 5 minutes
+    this.minFileDuration = parseInt(process.env.MIN_AUDIO_DURATION) || 5; // seconds, enforced on upload by AudioManager
+    this.maxFileDuration = parseInt(process.env.MAX_AUDIO_DURATION) || 300; // 5 minutes
   }
 
   validateAudioFile(file) {
@@ -139,7 +139,7 @@ class VoiceValidators {
     };
   }
 
-  validateTextToSpeechRequest(data) {
+  validateTextToSpeechRequest(data, { maxLength = 5000 } = {}) {
     const errors = [];
     const { text, agentId, settings } = data;
 
@@ -147,8 +147,8 @@ class VoiceValidators {
       errors.push('Text is required and must be a string');
     } else if (text.length < 1) {
       errors.push('Text cannot be empty');
-    } else if (text.length > 5000) {
-      errors.push('Text must be under 5000 characters');
+    } else if (text.length > maxLength) {
+      errors.push(`Text must be under ${maxLength} characters`);
     }
 
     if (!agentId || typeof agentId !== 'string') {
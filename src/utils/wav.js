@@ -0,0 +1,65 @@
+/**
+ * BIG BROTHER COMPLIANT - WAV Utilities
+ * RIFF/WAVE container encoding, parsing and concatenation for in-process audio
+ * MAX LINES: 250 | CURRENT: 66
+ */
+
+const WAV_HEADER_SIZE = 44;
+const WAV_FORMATS = { PCM: 1, ALAW: 6, MULAW: 7 };
+
+const buildWavHeader = ({ sampleRate, channels = 1, bitsPerSample = 16, audioFormat = WAV_FORMATS.PCM, dataSize }) => {
+  const blockAlign = channels * bitsPerSample / 8;
+  const header = Buffer.alloc(WAV_HEADER_SIZE);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+};
+
+const encodeWav = (samples, { sampleRate = 16000, channels = 1 } = {}) => {
+  const data = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) data.writeInt16LE(samples[i], i * 2);
+  return Buffer.concat([buildWavHeader({ sampleRate, channels, dataSize: data.length }), data]);
+};
+
+const parseWav = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+  let format = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      format = { audioFormat: buffer.readUInt16LE(body), channels: buffer.readUInt16LE(body + 2), sampleRate: buffer.readUInt32LE(body + 4), bitsPerSample: buffer.readUInt16LE(body + 14) };
+    } else if (id === 'data') {
+      data = buffer.subarray(body, Math.min(buffer.length, body + size));
+    }
+    offset = body + size + (size % 2);
+  }
+  if (!format || !data) throw new Error('WAV file is missing fmt or data chunk');
+  return { ...format, data };
+};
+
+const concatWav = (buffers) => {
+  const parsed = buffers.map(parseWav);
+  const [first] = parsed;
+  const mismatch = parsed.find(wav => ['audioFormat', 'channels', 'sampleRate', 'bitsPerSample'].some(key => wav[key] !== first[key]));
+  if (mismatch) throw new Error('Cannot join WAV files with different formats');
+  const data = Buffer.concat(parsed.map(wav => wav.data));
+  return Buffer.concat([buildWavHeader({ ...first, dataSize: data.length }), data]);
+};
+
+module.exports = { WAV_HEADER_SIZE, WAV_FORMATS, buildWavHeader, encodeWav, parseWav, concatWav };